@@ -0,0 +1,91 @@
+// AbortSignal helpers for cancelling transcriptions and enforcing timeouts.
+// Cancellations reject with name 'AbortError' and timeouts with name 'TimeoutError',
+// the same names fetch() and AbortSignal.timeout() use, and codes CANCELLED / TIMEOUT.
+
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+function createTimeoutError(timeoutMs) {
+  const error = new TranscriptionError(ERROR_CODES.TIMEOUT, `Transcription timed out after ${timeoutMs / 1000}s`);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+// The error to reject with once `signal` has aborted
+function createAbortError(signal) {
+  const reason = signal?.reason;
+  if (reason instanceof Error && reason.name === 'TimeoutError') {
+    return reason;
+  }
+
+  const error = new TranscriptionError(ERROR_CODES.CANCELLED, 'Transcription cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'TimeoutError';
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Derive a signal that aborts when `signal` does or after `timeoutMs`.
+ * @param {AbortSignal} [signal] - Caller's signal, if any
+ * @param {number} [timeoutMs] - 0 or undefined disables the timeout
+ * @returns {{ signal: AbortSignal, cleanup: () => void }} Call cleanup() when the work is done
+ */
+function withTimeout(signal, timeoutMs) {
+  const controller = new AbortController();
+  const abort = (reason) => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+  const onAbort = () => abort(createAbortError(signal));
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const timer = timeoutMs > 0 ? setTimeout(() => abort(createTimeoutError(timeoutMs)), timeoutMs) : null;
+
+  return {
+    signal: controller.signal,
+    cleanup() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Validate a per-request timeout from client input.
+ * @param {*} value - Milliseconds; undefined, null or '' means none was given
+ * @param {number} [maxMs] - Upper bound, normally TRANSCRIPTION_TIMEOUT_MS; 0 or undefined means none
+ * @returns {number|undefined} The timeout, clamped to maxMs, or undefined to use the default
+ * @throws {TranscriptionError} INVALID_OPTION when it is not a positive integer
+ */
+function parseTimeout(value, maxMs) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const timeout = Number(value);
+  if (!Number.isSafeInteger(timeout) || timeout <= 0) {
+    throw new TranscriptionError(ERROR_CODES.INVALID_OPTION, 'timeout must be a positive number of milliseconds');
+  }
+
+  // A request may shorten the server's limit but never lift it
+  return maxMs > 0 ? Math.min(timeout, maxMs) : timeout;
+}
+
+module.exports = {
+  createAbortError,
+  createTimeoutError,
+  isAbortError,
+  parseTimeout,
+  throwIfAborted,
+  withTimeout
+};
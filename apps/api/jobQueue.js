@@ -0,0 +1,195 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const TERMINAL_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+// Persistent FIFO job queue with bounded concurrency.
+// Every job is stored as <dataDir>/<id>.json so queued and interrupted jobs
+// survive a restart; call init() once before adding jobs.
+export class JobQueue extends EventEmitter {
+  constructor({ dataDir, concurrency = 1, processor }) {
+    super();
+    this.dataDir = dataDir;
+    this.concurrency = Math.max(1, concurrency);
+    this.processor = processor;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = new Map(); // job id -> AbortController
+  }
+
+  // Load persisted jobs and re-queue anything that did not finish
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const files = (await fs.readdir(this.dataDir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.warn('Skipping unreadable job file:', file, error.message);
+      }
+    }
+
+    const unfinished = [...this.jobs.values()]
+      .filter(job => !TERMINAL_STATES.has(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      await this.update(job, { status: 'queued', progress: 0, message: 'Re-queued after restart' });
+      this.pending.push(job.id);
+    }
+
+    this.runNext();
+  }
+
+  // Create a job for an uploaded file and queue it; jobs sharing a batchId form a batch
+  async add(file, options = {}, { batchId = null, batchIndex = null, ownerId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      batchId,
+      batchIndex,
+      ownerId,
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting in queue',
+      file,
+      options,
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    this.pending.push(job.id);
+    this.emit('update', job);
+    this.runNext();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // ownerId (null included) limits the list to one user's jobs
+  list({ status, batchId, ownerId } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => ownerId === undefined || (job.ownerId ?? null) === ownerId)
+      .filter(job => !status || job.status === status)
+      .filter(job => !batchId || job.batchId === batchId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATES.has(job.status);
+  }
+
+  // Cancel a queued or running job. Finished jobs are removed instead.
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (TERMINAL_STATES.has(job.status)) {
+      this.jobs.delete(id);
+      await fs.rm(this.jobPath(id), { force: true });
+      this.emit('removed', job);
+      return job;
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    this.active.get(id)?.abort();
+
+    await this.update(job, {
+      status: 'cancelled',
+      message: 'Cancelled',
+      completedAt: new Date().toISOString()
+    });
+
+    return job;
+  }
+
+  // Start queued jobs while there is free capacity
+  runNext() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.run(job);
+      }
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.active.set(job.id, controller);
+
+    try {
+      await this.update(job, {
+        status: 'processing',
+        progress: 0,
+        message: 'Starting transcription...',
+        startedAt: new Date().toISOString()
+      });
+
+      const result = await this.processor(job, {
+        signal: controller.signal,
+        reportProgress: (progress, message) => {
+          if (!controller.signal.aborted) {
+            this.update(job, { progress, message })
+              .catch(error => console.warn(`Failed to record progress for job ${job.id}:`, error.message));
+          }
+        }
+      });
+
+      if (!controller.signal.aborted) {
+        await this.update(job, {
+          status: 'completed',
+          progress: 100,
+          message: 'Transcription completed',
+          result,
+          completedAt: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${job.id} failed:`, error);
+        await this.update(job, {
+          status: 'failed',
+          message: 'Transcription failed',
+          error: error.message,
+          errorCode: error.code || null, // TranscriptionError code, see transcriptionErrors.js
+          completedAt: new Date().toISOString()
+        });
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.runNext();
+    }
+  }
+
+  async update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('update', job);
+    await this.persist(job);
+  }
+
+  // Write via a temp file so a crash never leaves a half-written job
+  async persist(job) {
+    const target = this.jobPath(job.id);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job, null, 2));
+    await fs.rename(temp, target);
+  }
+
+  jobPath(id) {
+    return path.join(this.dataDir, `${path.basename(id)}.json`);
+  }
+}
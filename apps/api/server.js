@@ -4,7 +4,23 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import multer from 'multer';
 import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
+import TranscriptionService from '../../transcriptionService.js';
+import TranscriptStore from '../../transcriptStore.js';
+import RuleSetStore from '../../ruleSetStore.js';
+import { createRuleSetRouter, resolveRuleSet } from '../../ruleSetRoutes.js';
+import { createTranscriptRouter, parseExportOptions } from '../../transcriptRoutes.js';
+import { validateLanguage } from '../../languages.js';
+import { validateDisfluencyMode } from '../../postProcessor.js';
+import { parseTimeout } from '../../abortUtils.js';
+import { getLimits, checkAudioFile } from '../../audioValidator.js';
+import { ERROR_CODES, TranscriptionError, serializeError, httpStatusFor } from '../../transcriptionErrors.js';
+import { authenticateSocket, canAccess, getCorsOrigin, isAuthEnabled, ownerIdOf, ownerScope, requireAuth } from '../../auth.js';
+import RateLimiter from '../../rateLimiter.js';
+import { JobQueue } from './jobQueue.js';
+import { StreamingSession } from './streamingSession.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,33 +29,199 @@ const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: ["http://localhost:3000", "http://localhost:3001"],
+    origin: getCorsOrigin(),
     methods: ["GET", "POST"]
   }
 });
 
+const rateLimiter = new RateLimiter();
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: getCorsOrigin() }));
 app.use(express.json());
 
+// Everything under /api is rate limited per IP (bad tokens included), then needs a token
+// (when JWT_SECRET is set) and is rate limited per user
+app.use('/api', rateLimiter.middleware(), requireAuth, rateLimiter.userMiddleware());
+
 // File upload setup
 const upload = multer({
-  dest: 'uploads/',
+  dest: path.join(__dirname, 'uploads'),
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
+    fileSize: getLimits().maxBytes // MAX_UPLOAD_BYTES
+  }
+});
+
+const batchUpload = upload.array('audio', parseInt(process.env.MAX_BATCH_FILES, 10) || 20);
+
+const transcriptionService = new TranscriptionService();
+
+// Shared with the root server unless TRANSCRIPTS_DIR points elsewhere
+const transcriptStore = new TranscriptStore();
+
+// Vocabulary and replacement rule sets, also shared with the root server (RULE_SETS_DIR)
+const ruleSetStore = new RuleSetStore();
+
+// Socket.IO rooms that receive a job's or a batch's events
+const jobRoom = (jobId) => `job:${jobId}`;
+const batchRoom = (batchId) => `batch:${batchId}`;
+
+// Transcription jobs, persisted under data/jobs so they survive a restart
+const jobQueue = new JobQueue({
+  dataDir: process.env.JOB_DATA_DIR || path.join(__dirname, 'data', 'jobs'),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+  processor: async (job, { signal, reportProgress }) => {
+    reportProgress(10, 'Reading audio file...');
+    const audioBuffer = await fs.readFile(job.file.path);
+
+    if (signal.aborted) return null;
+
+    // Duration and silence are checked inside transcribeAudio, under the job's timeout
+    reportProgress(20, 'Transcribing audio...');
+    const result = await transcriptionService.transcribeAudio(audioBuffer, { ...job.options, validate: true, signal });
+
+    if (signal.aborted) return null;
+
+    reportProgress(90, 'Saving transcript...');
+    const transcript = await transcriptStore.create({
+      result,
+      audioBuffer,
+      title: job.file.originalName,
+      source: 'upload',
+      ownerId: job.ownerId,
+      metadata: { jobId: job.id }
+    });
+
+    return { ...result, transcriptId: transcript.id };
+  }
+});
+
+// Answer a multer error; a file over MAX_UPLOAD_BYTES is AUDIO_TOO_LARGE
+const sendUploadError = (res, error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const megabytes = Math.round(getLimits().maxBytes / (1024 * 1024) * 10) / 10;
+    const tooLarge = new TranscriptionError(ERROR_CODES.AUDIO_TOO_LARGE, `Audio is larger than the ${megabytes} MB limit`);
+    return res.status(tooLarge.status).json(serializeError(tooLarge));
+  }
+
+  res.status(400).json({ error: `Upload failed: ${error.message}` });
+};
+
+const singleUpload = (req, res, next) => {
+  upload.single('audio')(req, res, (error) => (error ? sendUploadError(res, error) : next()));
+};
+
+const toProgressEvent = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  progress: job.progress,
+  message: job.message,
+  error: job.error,
+  code: job.errorCode || null
+});
+
+// A batch's jobs in upload order
+const batchJobs = (batchId) => jobQueue.list({ batchId }).sort((a, b) => a.batchIndex - b.batchIndex);
+
+// Another user's job or batch looks the same as a missing one
+const loadJob = (user, jobId) => {
+  const job = jobQueue.get(jobId);
+  return job && canAccess(user, job) ? job : null;
+};
+
+const canAccessBatch = (user, batchId) => {
+  const [first] = batchJobs(batchId);
+  return Boolean(first) && canAccess(user, first); // a batch has a single owner
+};
+
+// Let the uploading socket follow a job or batch, if it is signed in as the same user
+const joinUploaderSocket = (req, room) => {
+  const socket = req.body.socketId && io.sockets.sockets.get(req.body.socketId);
+  if (socket && canAccess(req.user, { ownerId: ownerIdOf(socket.data.user) })) {
+    socket.join(room);
+  }
+};
+
+// Overall state of a batch, derived from its jobs; null for unknown batches
+const toBatchSummary = (batchId) => {
+  const jobs = batchJobs(batchId);
+  if (jobs.length === 0) return null;
+
+  const count = (status) => jobs.filter(job => job.status === status).length;
+  const completed = count('completed');
+  const failed = count('failed');
+  const cancelled = count('cancelled');
+
+  let status = 'processing';
+  if (completed + failed + cancelled === jobs.length) {
+    if (completed === jobs.length) status = 'completed';
+    else if (completed > 0) status = 'partial';
+    else status = cancelled === jobs.length ? 'cancelled' : 'failed';
+  } else if (count('queued') === jobs.length) {
+    status = 'queued';
+  }
+
+  return {
+    batchId,
+    status,
+    total: jobs.length,
+    completed,
+    failed,
+    cancelled,
+    progress: Math.round(jobs.reduce((sum, job) => sum + (jobQueue.isFinished(job) ? 100 : job.progress), 0) / jobs.length),
+    items: jobs.map(job => ({ ...toProgressEvent(job), index: job.batchIndex, file: job.file.originalName }))
+  };
+};
+
+jobQueue.on('update', (job) => {
+  io.to(jobRoom(job.id)).emit('transcriptionProgress', toProgressEvent(job));
+
+  if (job.status === 'cancelled') {
+    io.to(jobRoom(job.id)).emit('transcriptionCancelled', { jobId: job.id });
+  }
+
+  if (job.batchId) {
+    io.to(batchRoom(job.batchId)).emit('batchProgress', toBatchSummary(job.batchId));
   }
 });
 
+// Uploaded audio is kept until its job record is deleted
+jobQueue.on('removed', (job) => {
+  fs.rm(job.file.path, { force: true }).catch(() => {});
+});
+
 // Routes
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.post('/api/upload', upload.single('audio'), (req, res) => {
+app.post('/api/upload', singleUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
+
+    let language;
+    let timeout;
+    let ruleSet;
+    let disfluencies;
+    try {
+      language = validateLanguage(req.body.language);
+      timeout = parseTimeout(req.body.timeout, transcriptionService.timeout);
+      ruleSet = await resolveRuleSet(ruleSetStore, req.user, req.body.ruleSet);
+      disfluencies = validateDisfluencyMode(req.body.disfluencies);
+    } catch (error) {
+      await fs.rm(req.file.path, { force: true });
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    // Empty or non-audio files fail here; duration and silence are checked when the job runs
+    try {
+      await checkAudioFile(req.file.path);
+    } catch (error) {
+      await fs.rm(req.file.path, { force: true });
+      return res.status(httpStatusFor(error)).json(serializeError(error));
+    }
     
     const fileInfo = {
       filename: req.file.filename,
@@ -47,13 +229,24 @@ app.post('/api/upload', upload.single('audio'), (req, res) => {
       size: req.file.size,
       mimetype: req.file.mimetype
     };
+
+    // The rule set is copied into the job, so later edits don't change queued work
+    const job = await jobQueue.add(
+      { ...fileInfo, path: req.file.path },
+      { language, timeout, ruleSet, disfluencies },
+      { ownerId: ownerIdOf(req.user) }
+    );
+
+    // Let the uploading socket follow its job without polling
+    joinUploaderSocket(req, jobRoom(job.id));
+
+    io.to(jobRoom(job.id)).emit('fileUploaded', { jobId: job.id, ...fileInfo });
     
-    // Emit upload event to connected clients
-    io.emit('fileUploaded', fileInfo);
-    
-    res.json({ 
+    res.status(202).json({ 
       message: 'File uploaded successfully', 
-      file: fileInfo 
+      file: fileInfo,
+      jobId: job.id,
+      status: job.status
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -61,14 +254,277 @@ app.post('/api/upload', upload.single('audio'), (req, res) => {
   }
 });
 
-// Socket.IO connection handling
+// Transcribe several files as one batch: multipart field "audio" (repeated), optional
+// language, ruleSet, disfluencies and socketId. Items run through the job queue (JOB_CONCURRENCY at a time);
+// the uploading socket receives batchProgress events.
+app.post('/api/batch', (req, res) => {
+  batchUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return sendUploadError(res, uploadError);
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No audio files provided' });
+    }
+
+    let language;
+    let timeout;
+    let ruleSet;
+    let disfluencies;
+    try {
+      language = validateLanguage(req.body.language);
+      timeout = parseTimeout(req.body.timeout, transcriptionService.timeout);
+      ruleSet = await resolveRuleSet(ruleSetStore, req.user, req.body.ruleSet);
+      disfluencies = validateDisfluencyMode(req.body.disfluencies);
+    } catch (error) {
+      await Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    // One bad file rejects the whole batch; the error names it
+    for (const file of files) {
+      try {
+        await checkAudioFile(file.path);
+      } catch (error) {
+        await Promise.all(files.map(({ path: filepath }) => fs.rm(filepath, { force: true })));
+        const { code, error: message } = serializeError(error);
+        return res.status(httpStatusFor(error)).json({ code, error: `${file.originalname}: ${message}`, file: file.originalname });
+      }
+    }
+
+    try {
+      const batchId = randomUUID();
+
+      joinUploaderSocket(req, batchRoom(batchId));
+
+      const jobs = [];
+      for (const [index, file] of files.entries()) {
+        jobs.push(await jobQueue.add(
+          {
+            filename: file.filename,
+            originalName: file.originalname,
+            size: file.size,
+            mimetype: file.mimetype,
+            path: file.path
+          },
+          { language, timeout, ruleSet, disfluencies },
+          { batchId, batchIndex: index, ownerId: ownerIdOf(req.user) }
+        ));
+      }
+
+      res.status(202).json({
+        message: 'Batch queued',
+        batchId,
+        jobs: jobs.map(job => ({ jobId: job.id, file: job.file.originalName, status: job.status }))
+      });
+    } catch (error) {
+      console.error('Batch upload error:', error);
+      res.status(500).json({ error: 'Batch upload failed' });
+    }
+  });
+});
+
+// Strip server-side paths before sending a job to clients
+const toPublicJob = ({ file: { path: _path, ...file }, ...job }) => ({ ...job, file });
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobQueue.list({ status: req.query.status, ownerId: ownerScope(req.user) }).map(toPublicJob) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = loadJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(toPublicJob(job));
+});
+
+// Download a finished job's transcript, e.g. /api/jobs/:id/export?format=vtt&maxLineLength=32&disfluencies=clean
+app.get('/api/jobs/:id/export', (req, res) => {
+  const job = loadJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Job is ${job.status}; transcript not available yet` });
+  }
+
+  const { format = 'srt' } = req.query;
+
+  try {
+    const file = transcriptionService.exportTranscription(job.result, format, parseExportOptions(req.query));
+    const baseName = path.parse(job.file.originalName || job.id).name;
+    res.type(file.mimeType);
+    res.attachment(`${baseName}.${file.extension}`);
+    res.send(file.content);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Rename speakers on a finished job, e.g. { "speakerNames": { "SPEAKER_00": "Anna" } }
+app.patch('/api/jobs/:id/speakers', async (req, res) => {
+  const job = loadJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Job is ${job.status}; transcript not available yet` });
+  }
+
+  const { speakerNames } = req.body || {};
+  if (!speakerNames || typeof speakerNames !== 'object') {
+    return res.status(400).json({ error: 'speakerNames must be an object of { label: name }' });
+  }
+
+  let result;
+  try {
+    result = transcriptionService.renameSpeakers(job.result, speakerNames);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await jobQueue.update(job, { result });
+    if (result.transcriptId) {
+      await transcriptStore.update(result.transcriptId, { speakerNames: result.speakerNames });
+    }
+    res.json({ jobId: job.id, speakerNames: result.speakerNames });
+  } catch (error) {
+    console.error('Speaker rename error:', error);
+    res.status(500).json({ error: 'Failed to save speaker names' });
+  }
+});
+
+// Batch status with every item; completed items include their result even if others failed
+app.get('/api/batch/:id', (req, res) => {
+  const summary = canAccessBatch(req.user, req.params.id) && toBatchSummary(req.params.id);
+  if (!summary) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json({ ...summary, jobs: batchJobs(req.params.id).map(toPublicJob) });
+});
+
+// Cancel every item that has not finished yet; finished items and their results are kept
+app.delete('/api/batch/:id', async (req, res) => {
+  const jobs = batchJobs(req.params.id);
+  if (jobs.length === 0 || !canAccess(req.user, jobs[0])) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  try {
+    await Promise.all(jobs.filter(job => !jobQueue.isFinished(job)).map(job => jobQueue.cancel(job.id)));
+    res.json(toBatchSummary(req.params.id));
+  } catch (error) {
+    console.error('Batch cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel batch' });
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  if (!loadJob(req.user, req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+
+    res.json(toPublicJob(job));
+  } catch (error) {
+    console.error('Job cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Transcript history
+app.use('/api/transcripts', createTranscriptRouter({ store: transcriptStore, transcriptionService }));
+app.use('/api/rulesets', createRuleSetRouter({ store: ruleSetStore }));
+
+// Live transcription sessions, keyed by socket id
+const streamingSessions = new Map();
+
+const closeStreamingSession = (socketId) => {
+  streamingSessions.get(socketId)?.close();
+  streamingSessions.delete(socketId);
+};
+
+// Socket.IO connection handling; handshakes are rate limited per IP and must carry a token when JWT_SECRET is set
+io.use(rateLimiter.socketMiddleware());
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-  socket.on('startTranscription', (data) => {
+  // Subscribe to a job's transcriptionProgress events
+  socket.on('subscribeJob', (jobId) => {
+    const job = loadJob(socket.data.user, jobId);
+    if (!job) {
+      socket.emit('transcriptionProgress', { jobId, status: 'not_found', error: 'Job not found' });
+      return;
+    }
+
+    socket.join(jobRoom(jobId));
+    socket.emit('transcriptionProgress', toProgressEvent(job));
+  });
+
+  socket.on('unsubscribeJob', (jobId) => {
+    socket.leave(jobRoom(jobId));
+  });
+
+  // Subscribe to a batch's batchProgress events
+  socket.on('subscribeBatch', (batchId) => {
+    const summary = canAccessBatch(socket.data.user, batchId) && toBatchSummary(batchId);
+    if (!summary) {
+      socket.emit('batchProgress', { batchId, status: 'not_found', error: 'Batch not found' });
+      return;
+    }
+
+    socket.join(batchRoom(batchId));
+    socket.emit('batchProgress', summary);
+  });
+
+  socket.on('unsubscribeBatch', (batchId) => {
+    socket.leave(batchRoom(batchId));
+  });
+
+  socket.on('startTranscription', async (data = {}) => {
     console.log('Transcription started:', data);
+    closeStreamingSession(socket.id);
+
+    let language;
+    let timeout;
+    let ruleSet;
+    let disfluencies;
+    try {
+      rateLimiter.check({ userId: socket.data.user?.id, ip: socket.handshake.address });
+      language = validateLanguage(data.language);
+      timeout = parseTimeout(data.timeout, transcriptionService.timeout);
+      ruleSet = await resolveRuleSet(ruleSetStore, socket.data.user, data.ruleSet);
+      disfluencies = validateDisfluencyMode(data.disfluencies);
+    } catch (error) {
+      socket.emit('transcriptionError', { segmentId: null, error: error.message, code: error.code });
+      return;
+    }
+
+    const session = new StreamingSession({
+      transcriptionService,
+      options: { language, timeout, ruleSet, disfluencies },
+      emit: (event, payload) => socket.emit(event, payload),
+      // A failed session closes itself; forget it unless a newer one has replaced it
+      onClose: (closed) => {
+        if (streamingSessions.get(socket.id) === closed) {
+          streamingSessions.delete(socket.id);
+        }
+      }
+    });
+    streamingSessions.set(socket.id, session);
+
     // Emit transcription progress updates
     socket.emit('transcriptionProgress', { 
+      sessionId: session.id,
       progress: 0, 
       status: 'Starting transcription...' 
     });
@@ -76,21 +532,67 @@ io.on('connection', (socket) => {
   
   socket.on('audioChunk', (chunk) => {
     // Handle real-time audio chunks
-    console.log('Received audio chunk:', chunk.length);
-    // Process chunk and emit results
-    socket.emit('transcriptionChunk', {
-      text: 'Sample transcription text...',
-      timestamp: Date.now()
-    });
+    const session = streamingSessions.get(socket.id);
+    if (!session) {
+      socket.emit('transcriptionError', {
+        segmentId: null,
+        error: 'No active transcription. Emit startTranscription before sending audio.'
+      });
+      return;
+    }
+
+    session.pushChunk(chunk);
+  });
+
+  // Finalize the remaining audio once the client stops recording
+  socket.on('stopTranscription', async () => {
+    const session = streamingSessions.get(socket.id);
+    if (!session) return;
+
+    streamingSessions.delete(socket.id);
+    await session.stop();
+
+    let transcriptId = null;
+    const result = session.toResult();
+    if (result.text) {
+      try {
+        const transcript = await transcriptStore.create({
+          result,
+          audioBuffer: session.getAudio(),
+          source: 'stream',
+          ownerId: ownerIdOf(socket.data.user)
+        });
+        transcriptId = transcript.id;
+      } catch (error) {
+        console.error('Failed to store transcript:', error);
+      }
+    }
+
+    socket.emit('transcriptionComplete', { sessionId: session.id, transcriptId });
+  });
+
+  // Abandon the live session, including any pass still being transcribed
+  socket.on('cancelTranscription', () => {
+    const session = streamingSessions.get(socket.id);
+    if (!session) return;
+
+    closeStreamingSession(socket.id);
+    socket.emit('transcriptionCancelled', { sessionId: session.id });
   });
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
+    closeStreamingSession(socket.id);
   });
 });
 
+await jobQueue.init();
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`🚀 Audio Transcription API running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  if (!isAuthEnabled()) {
+    console.warn('⚠️ JWT_SECRET is not set: authentication is disabled and all jobs and transcripts are shared');
+  }
 });
\ No newline at end of file
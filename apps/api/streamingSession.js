@@ -0,0 +1,291 @@
+import { randomUUID } from 'crypto';
+import audioService from '../../audioService.js';
+import { getLimits, checkSize } from '../../audioValidator.js';
+import { ERROR_CODES, TranscriptionError, serializeError } from '../../transcriptionErrors.js';
+import { normalizeSpacing, reconstructText } from '../../textReconstruction.js';
+
+const DEFAULT_STEP_SECONDS = 1; // new audio needed before another partial pass
+const DEFAULT_WINDOW_SECONDS = 10; // window length at which text is finalized
+const CUT_SEARCH_SECONDS = 2; // look this far back for a quiet place to cut
+const FRAME_SECONDS = 0.1;
+
+// Incremental transcription for one socket's audioChunk stream.
+//
+// Chunks are piped through a single ffmpeg decoder into a PCM buffer. The audio
+// after the last finalized point is re-transcribed as it grows and emitted as a
+// partial `transcriptionChunk`; once it reaches `windowSeconds` it is cut at the
+// quietest nearby frame, transcribed one last time and emitted as final. Partial
+// and final events for the same stretch of audio share a segmentId, so clients
+// replace text instead of appending it. `onClose` is called once when the session
+// is closed, including after a failure, so its owner can forget it.
+//
+// Windows are transcribed without diarization: speaker labels from separate short
+// windows would not refer to the same people. stop() transcribes the whole stream
+// once more, with diarization, and that pass is what toResult() returns. Partial
+// passes wait at least as long as the previous pass took, so they use at most
+// half of the backend's time and leave room for uploads and final passes.
+export class StreamingSession {
+  constructor({
+    transcriptionService,
+    emit,
+    onClose = () => {},
+    options = {},
+    stepSeconds = DEFAULT_STEP_SECONDS,
+    windowSeconds = DEFAULT_WINDOW_SECONDS
+  }) {
+    this.id = randomUUID().slice(0, 8);
+    this.transcriptionService = transcriptionService;
+    this.emit = emit;
+    this.onClose = onClose;
+    this.options = options;
+    this.limits = getLimits(); // a stream is held to the same limits as an upload
+
+    this.bytesPerSecond = audioService.sampleRate * audioService.bytesPerSample;
+    this.stepBytes = Math.round(stepSeconds * this.bytesPerSecond);
+    this.windowBytes = this.alignToSample(windowSeconds * this.bytesPerSecond);
+
+    this.pcm = Buffer.alloc(0); // audio after the last finalized point
+    this.streamPcm = []; // all decoded audio, for the diarized pass at stop()
+    this.chunks = []; // encoded input, kept so the recording can be stored
+    this.receivedBytes = 0;
+    this.decodedBytes = 0;
+    this.finalSegments = [];
+    this.committedSeconds = 0;
+    this.lastPassBytes = 0;
+    this.nextPartialAt = 0; // Date.now() before which no partial pass starts
+    this.segmentIndex = 0;
+    this.currentPass = null;
+    this.result = null; // the diarized whole-stream result, once stop() has one
+    this.stopping = false;
+    this.closed = false;
+    this.abortController = new AbortController(); // aborted by close() to stop the pass in flight
+
+    this.decoderClosed = new Promise((resolve) => {
+      this.decoder = audioService.createStreamDecoder({
+        onData: (pcm) => this.handlePcm(pcm),
+        onError: (error) => this.fail(error),
+        onClose: resolve
+      });
+    });
+  }
+
+  pushChunk(chunk) {
+    if (this.stopping || this.closed) return;
+    const buffer = Buffer.from(chunk);
+
+    this.receivedBytes += buffer.length;
+    try {
+      checkSize(this.receivedBytes, this.limits);
+    } catch (error) {
+      return this.fail(error);
+    }
+
+    this.chunks.push(buffer);
+    this.decoder.write(buffer);
+  }
+
+  handlePcm(pcm) {
+    this.decodedBytes += pcm.length;
+    if (this.decodedBytes / this.bytesPerSecond > this.limits.maxDurationMs / 1000) {
+      return this.fail(new TranscriptionError(
+        ERROR_CODES.AUDIO_TOO_LONG,
+        `Stream is longer than the ${Math.round(this.limits.maxDurationMs / 1000)}s limit`
+      ));
+    }
+
+    this.pcm = Buffer.concat([this.pcm, pcm]);
+    this.streamPcm.push(pcm);
+    this.tick();
+  }
+
+  // Start the next pass if nothing is running and there is enough new audio
+  tick() {
+    if (this.currentPass || this.stopping || this.closed) return;
+
+    if (this.pcm.length >= this.windowBytes) {
+      this.runPass(this.findCutPoint(), true);
+    } else if (this.pcm.length - this.lastPassBytes >= this.stepBytes && Date.now() >= this.nextPartialAt) {
+      this.runPass(this.pcm.length, false);
+    }
+  }
+
+  runPass(bytes, final) {
+    const segmentId = `${this.id}:${this.segmentIndex}`;
+    const start = this.committedSeconds;
+    const end = start + bytes / this.bytesPerSecond;
+    const window = Buffer.from(this.pcm.subarray(0, bytes));
+
+    if (final) {
+      this.pcm = Buffer.from(this.pcm.subarray(bytes));
+      this.committedSeconds = end;
+      this.segmentIndex++;
+      this.lastPassBytes = 0;
+    } else {
+      this.lastPassBytes = bytes;
+    }
+
+    const startedAt = Date.now();
+    this.currentPass = this.transcribeWindow(window, start)
+      .then(({ text, words, language, languageProbability, pipeline, provider }) => {
+        if (this.closed) return;
+        if (final) {
+          this.finalSegments.push({ text, words, start, end, language, languageProbability, pipeline, provider });
+        }
+        this.emit('transcriptionChunk', {
+          segmentId,
+          text,
+          words,
+          language,
+          partial: !final,
+          start,
+          end,
+          timestamp: Date.now()
+        });
+      })
+      .catch((error) => {
+        console.error(`Streaming pass for ${segmentId} failed:`, error.message);
+        if (final && !this.closed) {
+          this.emit('transcriptionError', { segmentId, ...serializeError(error) });
+        }
+      })
+      .finally(() => {
+        const finishedAt = Date.now();
+        this.nextPartialAt = finishedAt + (finishedAt - startedAt);
+        this.currentPass = null;
+        this.tick();
+      });
+
+    return this.currentPass;
+  }
+
+  async transcribeWindow(pcm, offsetSeconds) {
+    const result = await this.transcriptionService.transcribeAudio(
+      audioService.encodeWav(pcm),
+      { ...this.options, diarize: false, signal: this.abortController.signal }
+    );
+
+    // Word-level output gives plain text and lets us shift timings onto the stream clock.
+    // A window is cut at a quiet frame, not a sentence end, so only its spacing is normalized;
+    // toResult() rebuilds paragraphs and punctuation over the whole stream.
+    if (result.segments?.length && result.segments[0].word !== undefined) {
+      const words = result.segments.map(word => ({
+        ...word,
+        start: word.start + offsetSeconds,
+        end: word.end + offsetSeconds
+      }));
+      return { ...this.describe(result), text: normalizeSpacing(words.map(word => word.word).join(' ')), words };
+    }
+
+    return { ...this.describe(result), text: normalizeSpacing(result.text), words: [] };
+  }
+
+  describe(result) {
+    return {
+      language: result.language,
+      languageProbability: result.languageProbability ?? null,
+      pipeline: result.pipeline,
+      provider: result.provider
+    };
+  }
+
+  // The finalized stream as one transcription result, in the shape transcribeAudio returns:
+  // the diarized whole-stream pass, or when that failed the windows joined together
+  // (word-level text rebuilt the same way as for a file transcription, without speakers)
+  toResult() {
+    if (this.result) return this.result;
+
+    const words = this.finalSegments.flatMap(segment => segment.words);
+    const last = this.finalSegments[this.finalSegments.length - 1] || {};
+
+    return {
+      ...this.transcriptionService.scoreConfidence({ segments: words }),
+      text: words.length > 0
+        ? reconstructText(words)
+        : normalizeSpacing(this.finalSegments.map(segment => segment.text).join(' ')),
+      language: last.language || (this.options.language !== 'auto' && this.options.language) || null,
+      languageProbability: last.languageProbability ?? null,
+      segments: words,
+      speakers: [...new Set(words.map(word => word.speaker).filter(speaker => speaker && speaker !== 'Unknown'))],
+      duration: this.committedSeconds,
+      pipeline: last.pipeline || null,
+      provider: last.provider || null
+    };
+  }
+
+  // The encoded audio received from the client
+  getAudio() {
+    return Buffer.concat(this.chunks);
+  }
+
+  // Byte offset of the quietest frame boundary in the last CUT_SEARCH_SECONDS of the window
+  findCutPoint() {
+    const frameBytes = this.alignToSample(FRAME_SECONDS * this.bytesPerSecond);
+    const searchStart = Math.max(frameBytes, this.windowBytes - CUT_SEARCH_SECONDS * this.bytesPerSecond);
+    let bestOffset = this.windowBytes;
+    let bestEnergy = Infinity;
+
+    for (let offset = this.alignToSample(searchStart); offset + frameBytes <= this.windowBytes; offset += frameBytes) {
+      let energy = 0;
+      for (let i = offset; i < offset + frameBytes; i += audioService.bytesPerSample) {
+        const sample = this.pcm.readInt16LE(i);
+        energy += sample * sample;
+      }
+
+      if (energy < bestEnergy) {
+        bestEnergy = energy;
+        bestOffset = offset + frameBytes;
+      }
+    }
+
+    return bestOffset;
+  }
+
+  alignToSample(bytes) {
+    return Math.floor(bytes / audioService.bytesPerSample) * audioService.bytesPerSample;
+  }
+
+  // Finish decoding, finalize whatever audio is left, then transcribe and diarize the
+  // whole stream in one pass so speaker labels hold across windows
+  async stop() {
+    this.stopping = true;
+    this.decoder.end();
+
+    await this.decoderClosed;
+    await this.currentPass;
+
+    while (this.pcm.length > 0 && !this.closed) {
+      const bytes = this.pcm.length > this.windowBytes ? this.findCutPoint() : this.pcm.length;
+      await this.runPass(bytes, true);
+    }
+
+    if (this.closed || this.finalSegments.length === 0) return;
+
+    try {
+      this.result = await this.transcriptionService.transcribeAudio(
+        audioService.encodeWav(Buffer.concat(this.streamPcm)),
+        { ...this.options, signal: this.abortController.signal }
+      );
+    } catch (error) {
+      console.error(`Diarizing stream ${this.id} failed, keeping the window transcripts:`, error.message);
+    }
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.emit('transcriptionError', { segmentId: null, ...serializeError(error) });
+    this.close();
+  }
+
+  // Drop everything without emitting more results
+  close() {
+    if (this.closed) return;
+
+    this.closed = true;
+    this.abortController.abort();
+    this.decoder.kill();
+    this.pcm = Buffer.alloc(0);
+    this.streamPcm = [];
+    this.chunks = [];
+    this.onClose(this);
+  }
+}
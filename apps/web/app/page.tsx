@@ -4,11 +4,56 @@ import { useState, useEffect, useRef } from 'react';
 import { io, Socket } from 'socket.io-client';
 import { Button } from "@repo/ui/button";
 import { Card } from "@repo/ui/card";
+import { TranscriptViewer, type TranscriptWord } from "@repo/ui/transcript-viewer";
+
+interface TranscriptSegment {
+  segmentId: string;
+  text: string;
+  words: TranscriptWord[];
+  partial: boolean;
+  start: number;
+  end: number;
+}
+
+interface TranscriptionErrorEvent {
+  segmentId: string | null;
+  code?: string;
+  error: string;
+}
+
+// What to tell the user for each server error code (see transcriptionErrors.js)
+const ERROR_MESSAGES: Record<string, string> = {
+  MISSING_HF_TOKEN: 'Speaker diarization is not configured: the server has no HuggingFace token (HF_TOKEN).',
+  MODEL_LOAD_FAILED: 'The transcription models could not be loaded on the server. Try again later.',
+  UNSUPPORTED_FORMAT: 'The recorded audio could not be decoded by the server.',
+  UNSUPPORTED_LANGUAGE: 'The selected language is not supported.',
+  AUDIO_TOO_LONG: 'The recording is too long to transcribe.',
+  AUDIO_TOO_LARGE: 'The recording is larger than the server allows.',
+  EMPTY_AUDIO: 'No audio reached the server.',
+  SILENT_AUDIO: 'The recording is silent. Check that your microphone is not muted.',
+  PROVIDER_UNAVAILABLE: 'No transcription service is available right now. Try again later.',
+  TIMEOUT: 'Transcription took too long and was stopped.',
+  UNAUTHORIZED: 'The API refused the connection: missing or expired token (localStorage "authToken").',
+  RATE_LIMITED: 'Too many requests. Wait a minute and try again.',
+  UNKNOWN_RULE_SET: 'The requested vocabulary & replacements rule set does not exist.',
+  INVALID_OPTION: 'The API did not accept one of the transcription settings.',
+  TRANSCRIPTION_FAILED: 'Part of the recording could not be transcribed.'
+};
+
+// API token (see auth.js on the server), shared with the vanilla client's localStorage key;
+// null when the API runs without authentication
+const getAuthToken = () => window.localStorage.getItem('authToken');
 
 export default function Home() {
   const [isConnected, setIsConnected] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
-  const [transcription, setTranscription] = useState('');
+  const [segments, setSegments] = useState<TranscriptSegment[]>([]);
+  const [audioUrl, setAudioUrl] = useState<string | null>(null);
+  const [isComplete, setIsComplete] = useState(false);
+  const [speakerNames, setSpeakerNames] = useState<Record<string, string>>({});
+  const [transcriptId, setTranscriptId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const recordedChunksRef = useRef<Blob[]>([]);
   const [audioLevel, setAudioLevel] = useState(0);
   const socketRef = useRef<Socket | null>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
@@ -16,7 +61,7 @@ export default function Home() {
 
   useEffect(() => {
     // Connect to Socket.IO server
-    socketRef.current = io('http://localhost:3001');
+    socketRef.current = io('http://localhost:3001', { auth: { token: getAuthToken() } });
     
     socketRef.current.on('connect', () => {
       setIsConnected(true);
@@ -28,8 +73,35 @@ export default function Home() {
       console.log('Disconnected from server');
     });
 
-    socketRef.current.on('transcriptionChunk', (data) => {
-      setTranscription(prev => prev + ' ' + data.text);
+    // The server refused the handshake, e.g. a missing or expired token
+    socketRef.current.on('connect_error', (err: Error & { data?: { code?: string } }) => {
+      console.error('Connection refused:', err.message);
+      if (err.data?.code) {
+        setError(ERROR_MESSAGES[err.data.code] || err.message);
+      }
+    });
+
+    // Partial results are re-sent with the same segmentId until they become final
+    socketRef.current.on('transcriptionChunk', (data: TranscriptSegment) => {
+      setSegments(prev => {
+        const index = prev.findIndex(segment => segment.segmentId === data.segmentId);
+        if (index === -1) {
+          return [...prev, data];
+        }
+        const next = [...prev];
+        next[index] = data;
+        return next;
+      });
+    });
+
+    socketRef.current.on('transcriptionError', (data: TranscriptionErrorEvent) => {
+      console.error('Transcription error:', data);
+      setError((data.code && ERROR_MESSAGES[data.code]) || data.error);
+    });
+
+    socketRef.current.on('transcriptionComplete', (data: { transcriptId: string | null }) => {
+      setTranscriptId(data.transcriptId);
+      setIsComplete(true);
     });
 
     return () => {
@@ -73,19 +145,37 @@ export default function Home() {
       
       mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0 && socketRef.current) {
+          recordedChunksRef.current.push(event.data);
           socketRef.current.emit('audioChunk', event.data);
         }
       };
+
+      // The last chunk is delivered before onstop, so the server can finalize everything
+      mediaRecorder.onstop = () => {
+        socketRef.current?.emit('stopTranscription');
+        // Keep the recording for playback in the transcript viewer
+        setAudioUrl(URL.createObjectURL(new Blob(recordedChunksRef.current, { type: 'audio/webm' })));
+      };
       
       mediaRecorderRef.current = mediaRecorder;
-      mediaRecorder.start(1000); // Send chunks every second
-      setIsRecording(true);
-      monitorAudio();
-      
+      recordedChunksRef.current = [];
+      setSegments([]);
+      setSpeakerNames({});
+      setIsComplete(false);
+      setTranscriptId(null);
+      setError(null);
+      setAudioUrl(prev => {
+        if (prev) URL.revokeObjectURL(prev);
+        return null;
+      });
       socketRef.current?.emit('startTranscription', { 
         language: 'sv',
         model: 'medium' 
       });
+
+      mediaRecorder.start(1000); // Send chunks every second
+      setIsRecording(true);
+      monitorAudio();
       
     } catch (error) {
       console.error('Error starting recording:', error);
@@ -101,6 +191,37 @@ export default function Home() {
     setAudioLevel(0);
   };
 
+  const renameSpeaker = (label: string, name: string) => {
+    setSpeakerNames(prev => {
+      const next = { ...prev };
+      if (name && name !== label) {
+        next[label] = name;
+      } else {
+        delete next[label];
+      }
+      return next;
+    });
+
+    // Keep the saved transcript in step so the names survive a reload
+    if (transcriptId) {
+      fetch(`http://localhost:3001/api/transcripts/${transcriptId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(getAuthToken() && { Authorization: `Bearer ${getAuthToken()}` })
+        },
+        body: JSON.stringify({ speakerNames: { [label]: name } })
+      }).catch(error => console.error('Failed to save speaker name:', error));
+    }
+  };
+
+  // Streaming segments without word timings fall back to one entry per segment
+  const words: TranscriptWord[] = segments.flatMap(segment =>
+    segment.words?.length
+      ? segment.words
+      : [{ word: segment.text, start: segment.start, end: segment.end }]
+  );
+
   return (
     <main className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
       <div className="mx-auto max-w-4xl">
@@ -157,15 +278,35 @@ export default function Home() {
           </div>
         </div>
 
+        {error && (
+          <div className="mb-4 p-4 rounded-lg border border-red-200 bg-red-50 text-red-700">
+            {error}
+          </div>
+        )}
+
         {/* Transcription Output */}
         <Card className="p-6 bg-white shadow-lg">
           <h2 className="text-xl font-semibold mb-4 text-gray-800">
             📝 Live Transcription
           </h2>
           <div className="min-h-[200px] p-4 bg-gray-50 rounded-lg border">
-            {transcription ? (
+            {isComplete && audioUrl && segments.length > 0 ? (
+              <TranscriptViewer
+                words={words}
+                audioSrc={audioUrl}
+                speakerNames={speakerNames}
+                onRenameSpeaker={renameSpeaker}
+              />
+            ) : segments.length > 0 ? (
               <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">
-                {transcription}
+                {segments.map(segment => (
+                  <span
+                    key={segment.segmentId}
+                    className={segment.partial ? 'text-gray-500 italic' : undefined}
+                  >
+                    {segment.text}{' '}
+                  </span>
+                ))}
               </p>
             ) : (
               <p className="text-gray-400 italic">
@@ -1,54 +1,312 @@
-const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
+const { createAbortError, throwIfAborted } = require('./abortUtils');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+const tempFiles = require('./tempFileManager');
+
+// Format every transcription backend is fed: 16 kHz mono signed 16-bit PCM
+const TARGET_SAMPLE_RATE = 16000;
+const TARGET_CHANNELS = 1;
+const BYTES_PER_SAMPLE = 2;
 
 class AudioService {
   constructor() {
     this.isRecording = false;
     this.audioChunks = [];
-    this.tempDir = path.join(__dirname, 'temp');
-  }
-
-  // Ensure temp directory exists
-  ensureTempDir() {
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
+    this.sampleRate = TARGET_SAMPLE_RATE;
+    this.bytesPerSample = BYTES_PER_SAMPLE;
   }
 
-  // Save audio buffer to temporary file
-  saveAudioBuffer(audioBuffer, filename = null) {
-    this.ensureTempDir();
-
-    const timestamp = Date.now();
-    const audioFileName = filename || `audio_${timestamp}.webm`;
-    const filepath = path.join(this.tempDir, audioFileName);
-
-    fs.writeFileSync(filepath, audioBuffer);
+  // Save audio buffer to a temporary file; the caller removes it with tempFiles.remove()
+  async saveAudioBuffer(audioBuffer, extension = 'webm') {
+    const filepath = await tempFiles.create(audioBuffer, { prefix: 'audio', extension });
 
     console.log('💾 Audio saved to:', filepath);
     return {
       filepath,
-      filename: audioFileName,
+      filename: path.basename(filepath),
       timestamp: new Date().toISOString(),
       size: audioBuffer.length
     };
   }
 
-  // Convert audio buffer to WAV format (for Whisper API)
-  convertToWav(audioBuffer) {
-    // For now, we'll return the buffer as-is since we're handling conversion client-side
-    // In a production environment, you might want to use ffmpeg or similar tools
-    return audioBuffer;
+  // Identify the container (and codec where the header tells us) from magic bytes.
+  // Returns null for anything that is not one of the supported formats.
+  detectFormat(audioBuffer) {
+    if (!audioBuffer || audioBuffer.length < 12) return null;
+
+    const ascii = (start, end) => audioBuffer.toString('latin1', start, end);
+    const head = audioBuffer.subarray(0, Math.min(audioBuffer.length, 4096));
+
+    // RIFF....WAVE
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+      return { container: 'wav', extension: 'wav', ...this.readWavFormat(audioBuffer) };
+    }
+
+    // EBML header; DocType distinguishes webm from other Matroska files
+    if (audioBuffer.readUInt32BE(0) === 0x1a45dfa3) {
+      const isWebm = head.includes('webm', 0, 'latin1');
+      return {
+        container: isWebm ? 'webm' : 'matroska',
+        extension: isWebm ? 'webm' : 'mka',
+        codec: head.includes('A_OPUS', 0, 'latin1') ? 'opus' : head.includes('A_VORBIS', 0, 'latin1') ? 'vorbis' : null
+      };
+    }
+
+    if (ascii(0, 4) === 'OggS') {
+      let codec = null;
+      if (head.includes('OpusHead', 0, 'latin1')) codec = 'opus';
+      else if (head.includes('vorbis', 0, 'latin1')) codec = 'vorbis';
+      else if (head.includes('FLAC', 0, 'latin1')) codec = 'flac';
+      return { container: 'ogg', extension: 'ogg', codec };
+    }
+
+    if (ascii(0, 4) === 'fLaC') {
+      return { container: 'flac', extension: 'flac', codec: 'flac' };
+    }
+
+    // ISO base media (m4a/mp4): ....ftyp
+    if (ascii(4, 8) === 'ftyp') {
+      return { container: 'm4a', extension: 'm4a', brand: ascii(8, 12).trim(), codec: null };
+    }
+
+    // ID3 tag or a bare MPEG audio frame sync
+    if (ascii(0, 3) === 'ID3' || (audioBuffer[0] === 0xff && (audioBuffer[1] & 0xe0) === 0xe0)) {
+      return { container: 'mp3', extension: 'mp3', codec: 'mp3' };
+    }
+
+    return null;
+  }
+
+  // Read the fmt chunk of a WAV file
+  readWavFormat(audioBuffer) {
+    let offset = 12;
+
+    while (offset + 8 <= audioBuffer.length) {
+      const chunkId = audioBuffer.toString('latin1', offset, offset + 4);
+      const chunkSize = audioBuffer.readUInt32LE(offset + 4);
+
+      if (chunkId === 'fmt ' && offset + 24 <= audioBuffer.length) {
+        const audioFormat = audioBuffer.readUInt16LE(offset + 8);
+        return {
+          codec: audioFormat === 1 ? 'pcm' : audioFormat === 3 ? 'float' : `wav-format-${audioFormat}`,
+          channels: audioBuffer.readUInt16LE(offset + 10),
+          sampleRate: audioBuffer.readUInt32LE(offset + 12),
+          bitsPerSample: audioBuffer.readUInt16LE(offset + 22)
+        };
+      }
+
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return { codec: null };
+  }
+
+  // The samples of a WAV file's data chunk (empty if there is none)
+  readWavData(wavBuffer) {
+    let offset = 12;
+
+    while (offset + 8 <= wavBuffer.length) {
+      const chunkId = wavBuffer.toString('latin1', offset, offset + 4);
+      const chunkSize = wavBuffer.readUInt32LE(offset + 4);
+
+      if (chunkId === 'data') {
+        // Streamed WAVs may leave the size at 0 or 0xffffffff; take what is there
+        return wavBuffer.subarray(offset + 8, Math.min(offset + 8 + chunkSize, wavBuffer.length) || wavBuffer.length);
+      }
+
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return Buffer.alloc(0);
+  }
+
+  // True if the buffer is already 16 kHz mono 16-bit PCM WAV
+  isNormalizedWav(format) {
+    return format?.container === 'wav'
+      && format.codec === 'pcm'
+      && format.channels === TARGET_CHANNELS
+      && format.sampleRate === TARGET_SAMPLE_RATE
+      && format.bitsPerSample === BYTES_PER_SAMPLE * 8;
+  }
+
+  // Convert any supported input to 16 kHz mono 16-bit PCM WAV (for Whisper and pyannote)
+  // Aborting options.signal kills ffmpeg and rejects with an AbortError; input that cannot be
+  // recognized or decoded rejects with an UNSUPPORTED_FORMAT TranscriptionError, and an
+  // ffmpeg that cannot be started (see FFMPEG_PATH) with PROVIDER_UNAVAILABLE.
+  // options.maxSeconds stops decoding after that much audio.
+  async convertToWav(audioBuffer, { signal, maxSeconds } = {}) {
+    throwIfAborted(signal);
+    const format = this.detectFormat(audioBuffer);
+
+    if (!format) {
+      throw new TranscriptionError(
+        ERROR_CODES.UNSUPPORTED_FORMAT,
+        'Unsupported audio format: expected webm, ogg, mp3, m4a, flac or wav'
+      );
+    }
+
+    if (this.isNormalizedWav(format)) {
+      return audioBuffer;
+    }
+
+    // ffmpeg needs a seekable input for m4a (moov atom at the end), so go through a file
+    const pcm = await tempFiles.withFile(
+      audioBuffer,
+      { prefix: 'convert', extension: format.extension },
+      filepath => this.decodeFileToPcm(filepath, { signal, maxSeconds })
+    );
+
+    if (pcm.length === 0) {
+      throw new TranscriptionError(
+        ERROR_CODES.EMPTY_AUDIO,
+        `Could not decode ${format.container} audio: no audio samples found`
+      );
+    }
+
+    return this.encodeWav(pcm);
+  }
+
+  // Decode an audio file to raw 16 kHz mono PCM with ffmpeg
+  decodeFileToPcm(filepath, { signal, maxSeconds } = {}) {
+    return new Promise((resolve, reject) => {
+      // Cancelled while the input was being written: don't start ffmpeg at all
+      throwIfAborted(signal);
+
+      const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', filepath,
+        ...(maxSeconds > 0 ? ['-t', String(maxSeconds)] : []),
+        '-vn',
+        '-f', 's16le',
+        '-acodec', 'pcm_s16le',
+        '-ac', String(TARGET_CHANNELS),
+        '-ar', String(TARGET_SAMPLE_RATE),
+        'pipe:1'
+      ]);
+
+      const chunks = [];
+      let stderr = '';
+
+      const onAbort = () => {
+        ffmpeg.kill('SIGKILL');
+        reject(createAbortError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      ffmpeg.stdout.on('data', (data) => chunks.push(data));
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      let spawnFailed = false;
+      ffmpeg.on('error', (error) => {
+        spawnFailed = true;
+        signal?.removeEventListener('abort', onAbort);
+        reject(this.createSpawnError(error));
+      });
+
+      ffmpeg.on('close', (code) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (spawnFailed) return;
+        if (code !== 0) {
+          reject(new TranscriptionError(
+            ERROR_CODES.UNSUPPORTED_FORMAT,
+            `Could not decode audio: ${stderr.trim() || `ffmpeg exit code ${code}`}`
+          ));
+          return;
+        }
+        resolve(Buffer.concat(chunks));
+      });
+    });
+  }
+
+  // ffmpeg missing or not executable: a setup problem, not bad audio
+  createSpawnError(error) {
+    return new TranscriptionError(
+      ERROR_CODES.PROVIDER_UNAVAILABLE,
+      `Failed to start ffmpeg: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  // Wrap raw 16-bit little-endian PCM in a WAV container
+  encodeWav(pcmBuffer, sampleRate = TARGET_SAMPLE_RATE, channels = TARGET_CHANNELS) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * BYTES_PER_SAMPLE;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * BYTES_PER_SAMPLE, 32);
+    header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+  }
+
+  // Start an ffmpeg process that decodes a growing compressed stream (e.g. MediaRecorder
+  // webm/opus chunks written in order) into 16 kHz mono PCM as the data arrives.
+  // Returns { write(chunk), end(), kill(), process }; PCM is delivered through onData.
+  createStreamDecoder({ onData, onError, onClose } = {}) {
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      '-ac', String(TARGET_CHANNELS),
+      '-ar', String(TARGET_SAMPLE_RATE),
+      'pipe:1'
+    ]);
+
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (data) => onData?.(data));
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    // The client may keep sending after ffmpeg gave up on the input
+    ffmpeg.stdin.on('error', () => {});
+
+    let spawnFailed = false;
+    ffmpeg.on('error', (error) => {
+      spawnFailed = true;
+      onError?.(this.createSpawnError(error));
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0 && code !== null && !spawnFailed) {
+        onError?.(new TranscriptionError(
+          ERROR_CODES.UNSUPPORTED_FORMAT,
+          `ffmpeg could not decode audio stream: ${stderr.trim() || `exit code ${code}`}`
+        ));
+      }
+      onClose?.();
+    });
+
+    return {
+      process: ffmpeg,
+      write: (chunk) => ffmpeg.stdin.writable && ffmpeg.stdin.write(chunk),
+      end: () => ffmpeg.stdin.writable && ffmpeg.stdin.end(),
+      kill: () => ffmpeg.kill()
+    };
   }
 
   // Process audio data from client
-  processAudioData(audioData) {
+  async processAudioData(audioData) {
     try {
       // audioData should contain base64 encoded audio
       const audioBuffer = Buffer.from(audioData.audioBlob, 'base64');
 
       // Save the audio file
-      const savedAudio = this.saveAudioBuffer(audioBuffer);
+      const savedAudio = await this.saveAudioBuffer(audioBuffer, this.detectFormat(audioBuffer)?.extension);
 
       return {
         success: true,
@@ -68,39 +326,18 @@ class AudioService {
   getStatus() {
     return {
       isRecording: this.isRecording,
-      tempDirExists: fs.existsSync(this.tempDir),
-      tempDir: this.tempDir
+      tempFiles: tempFiles.getStatus()
     };
   }
 
-  // Clean up temporary files
+  // Clean up expired temporary files; files still used by a request are left alone
   cleanup() {
-    if (fs.existsSync(this.tempDir)) {
-      const files = fs.readdirSync(this.tempDir);
-      files.forEach(file => {
-        const filePath = path.join(this.tempDir, file);
-        try {
-          fs.unlinkSync(filePath);
-          console.log('🗑️ Cleaned up temporary file:', file);
-        } catch (error) {
-          console.error('Error cleaning up file:', file, error);
-        }
-      });
-    }
+    return tempFiles.sweep();
   }
 
   // Get list of temporary files
   getTempFiles() {
-    if (!fs.existsSync(this.tempDir)) {
-      return [];
-    }
-
-    return fs.readdirSync(this.tempDir).map(file => ({
-      name: file,
-      path: path.join(this.tempDir, file),
-      size: fs.statSync(path.join(this.tempDir, file)).size,
-      created: fs.statSync(path.join(this.tempDir, file)).birthtime
-    }));
+    return tempFiles.list();
   }
 }
 
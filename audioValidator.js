@@ -0,0 +1,152 @@
+// Input checks shared by the socket server (index.js) and the REST API (apps/api).
+// Every rejection is a TranscriptionError, so clients get a { code, error } they can show.
+const fs = require('fs');
+const audioService = require('./audioService');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024; // 100 MB
+const DEFAULT_MAX_DURATION_MS = 5 * 60 * 1000;
+const DEFAULT_SILENCE_THRESHOLD_DB = -60; // RMS in dBFS; digital silence and a muted mic sit below this
+const HEADER_BYTES = 4096; // enough for detectFormat()
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limits from the environment: MAX_UPLOAD_BYTES, MAX_RECORDING_DURATION (ms), SILENCE_THRESHOLD_DB
+function getLimits() {
+  const silenceThresholdDb = parseFloat(process.env.SILENCE_THRESHOLD_DB);
+
+  return {
+    maxBytes: readInt(process.env.MAX_UPLOAD_BYTES, DEFAULT_MAX_BYTES),
+    maxDurationMs: readInt(process.env.MAX_RECORDING_DURATION, DEFAULT_MAX_DURATION_MS),
+    silenceThresholdDb: Number.isFinite(silenceThresholdDb) ? silenceThresholdDb : DEFAULT_SILENCE_THRESHOLD_DB
+  };
+}
+
+const formatBytes = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.ceil(bytes / 1024)} KB`
+  : `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`);
+
+// Reject a payload by size alone, e.g. before decoding base64 or reading a file
+function checkSize(byteLength, { maxBytes } = getLimits()) {
+  if (byteLength > maxBytes) {
+    throw new TranscriptionError(
+      ERROR_CODES.AUDIO_TOO_LARGE,
+      `Audio is ${formatBytes(byteLength)}; the limit is ${formatBytes(maxBytes)}`
+    );
+  }
+}
+
+// Decoded size of a base64 string, without decoding it
+function base64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Cheap checks that need no decoding: size, emptiness and container type by magic bytes.
+ * @param {Buffer} audioBuffer
+ * @param {Object} [limits] - Defaults to getLimits()
+ * @returns {Object} The detected format, see audioService.detectFormat()
+ * @throws {TranscriptionError} AUDIO_TOO_LARGE, EMPTY_AUDIO or UNSUPPORTED_FORMAT
+ */
+function checkAudioBuffer(audioBuffer, limits = getLimits()) {
+  if (!Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
+    throw new TranscriptionError(ERROR_CODES.EMPTY_AUDIO, 'No audio data received');
+  }
+
+  checkSize(audioBuffer.length, limits);
+
+  const format = audioService.detectFormat(audioBuffer);
+  if (!format) {
+    throw new TranscriptionError(
+      ERROR_CODES.UNSUPPORTED_FORMAT,
+      'Unsupported audio format: expected webm, ogg, mp3, m4a, flac or wav'
+    );
+  }
+
+  return format;
+}
+
+// checkAudioBuffer() for a file on disk, e.g. an upload; reads only its header
+async function checkAudioFile(filepath, limits = getLimits()) {
+  const handle = await fs.promises.open(filepath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    checkSize(size, limits);
+
+    const header = Buffer.alloc(Math.min(size, HEADER_BYTES));
+    await handle.read(header, 0, header.length, 0);
+    return checkAudioBuffer(header, limits);
+  } finally {
+    await handle.close();
+  }
+}
+
+// RMS level of 16-bit PCM in dBFS (-Infinity for all-zero samples)
+function rmsDb(pcm) {
+  const samples = Math.floor(pcm.length / audioService.bytesPerSample);
+  if (samples === 0) return -Infinity;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * audioService.bytesPerSample) / 32768;
+    sum += sample * sample;
+  }
+
+  return 10 * Math.log10(sum / samples);
+}
+
+/**
+ * Full validation: the cheap checks, then decode (at most just past the duration
+ * limit) to check duration and silence.
+ * @param {Buffer} audioBuffer
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops decoding
+ * @returns {Promise<{ format: Object, duration: number, wav: Buffer }>} wav is 16 kHz mono
+ *   PCM that can go straight to transcribeAudio() without decoding again
+ * @throws {TranscriptionError} The checkAudioBuffer() codes, AUDIO_TOO_LONG or SILENT_AUDIO
+ */
+async function validateAudio(audioBuffer, { signal, ...overrides } = {}) {
+  const limits = { ...getLimits(), ...overrides };
+  const format = checkAudioBuffer(audioBuffer, limits);
+  const maxSeconds = limits.maxDurationMs / 1000;
+
+  // One extra second tells "exactly at the limit" from "over it"
+  const wav = await audioService.convertToWav(audioBuffer, { signal, maxSeconds: maxSeconds + 1 });
+  const pcm = audioService.readWavData(wav);
+  const duration = pcm.length / (audioService.sampleRate * audioService.bytesPerSample);
+
+  if (duration === 0) {
+    throw new TranscriptionError(ERROR_CODES.EMPTY_AUDIO, 'The recording contains no audio');
+  }
+
+  if (duration > maxSeconds) {
+    throw new TranscriptionError(
+      ERROR_CODES.AUDIO_TOO_LONG,
+      `Audio is longer than the ${Math.round(maxSeconds)}s limit`
+    );
+  }
+
+  const level = rmsDb(pcm);
+  if (level < limits.silenceThresholdDb) {
+    throw new TranscriptionError(
+      ERROR_CODES.SILENT_AUDIO,
+      `The recording is silent (${Number.isFinite(level) ? `${level.toFixed(1)} dBFS` : 'no signal'})`
+    );
+  }
+
+  return { format, duration, wav };
+}
+
+module.exports = {
+  getLimits,
+  checkSize,
+  base64ByteLength,
+  checkAudioBuffer,
+  checkAudioFile,
+  validateAudio
+};
@@ -0,0 +1,189 @@
+// Token authentication shared by the socket server (index.js) and the REST API (apps/api).
+//
+// Clients send an HS256 JWT signed with JWT_SECRET whose `sub` is the user id:
+// REST as `Authorization: Bearer <token>` (or ?access_token= where headers cannot be
+// set, e.g. <audio src>), Socket.IO as `io({ auth: { token } })`. Without JWT_SECRET
+// authentication is off and every request is anonymous with access to everything.
+//
+// Issue a token: node auth.js <userId> [expiresInSeconds]
+const { createHmac, timingSafeEqual } = require('crypto');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const DEFAULT_EXPIRES_IN = 7 * 24 * 60 * 60; // seconds
+const CLOCK_TOLERANCE = 30; // seconds of skew allowed on exp/nbf
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const unauthorized = (message) => new TranscriptionError(ERROR_CODES.UNAUTHORIZED, message);
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function getSecret() {
+  return process.env.JWT_SECRET || null;
+}
+
+function isAuthEnabled() {
+  return Boolean(getSecret());
+}
+
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a token for a user.
+ * @param {Object} claims - Must include `sub`, the user id
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds (0 = never expires)
+ * @returns {string}
+ */
+function signToken(claims, { expiresIn = DEFAULT_EXPIRES_IN, secret = getSecret() } = {}) {
+  if (!secret) throw new Error('JWT_SECRET is not set');
+  if (!claims?.sub) throw new Error('Token claims need a sub (user id)');
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: now, ...(expiresIn > 0 && { exp: now + expiresIn }) };
+  const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Check a token's signature and lifetime.
+ * @returns {{ id: string, name: string|null }} The user it identifies
+ * @throws {TranscriptionError} UNAUTHORIZED
+ */
+function verifyToken(token, { secret = getSecret() } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw unauthorized('Malformed token');
+
+  const [header, payload, signature] = parts;
+  let decoded;
+  try {
+    decoded = {
+      header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    };
+    // Both must be JSON objects; null, numbers and arrays parse but are not a JWT
+    if (!isPlainObject(decoded.header) || !isPlainObject(decoded.payload)) throw new Error('Not an object');
+  } catch (error) {
+    throw unauthorized('Malformed token');
+  }
+
+  // Only HS256; never trust the header to pick something weaker such as "none"
+  if (decoded.header.alg !== 'HS256') throw unauthorized(`Unsupported token algorithm: ${decoded.header.alg}`);
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw unauthorized('Invalid token signature');
+  }
+
+  const { sub, name, exp, nbf } = decoded.payload;
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof exp === 'number' && now > exp + CLOCK_TOLERANCE) throw unauthorized('Token has expired');
+  if (typeof nbf === 'number' && now < nbf - CLOCK_TOLERANCE) throw unauthorized('Token is not valid yet');
+  if (typeof sub !== 'string' || !sub) throw unauthorized('Token has no subject');
+
+  return { id: sub, name: typeof name === 'string' ? name : null };
+}
+
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && token) return token;
+
+  return typeof req.query?.access_token === 'string' ? req.query.access_token : null;
+}
+
+// Express middleware: sets req.user, or answers 401 { code, error }
+function requireAuth(req, res, next) {
+  req.user = null;
+  if (!isAuthEnabled()) return next();
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ code: ERROR_CODES.UNAUTHORIZED, error: 'Authentication required' });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ code: ERROR_CODES.UNAUTHORIZED, error: error.message });
+  }
+}
+
+// Socket.IO middleware (io.use): sets socket.data.user or refuses the connection.
+// Clients see the refusal as connect_error with data.code.
+function authenticateSocket(socket, next) {
+  socket.data.user = null;
+  if (!isAuthEnabled()) return next();
+
+  const header = socket.handshake.headers.authorization || '';
+  const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+  try {
+    if (!token) throw unauthorized('Authentication required');
+    socket.data.user = verifyToken(token);
+    next();
+  } catch (error) {
+    const refusal = new Error(error.message);
+    refusal.data = { code: ERROR_CODES.UNAUTHORIZED };
+    next(refusal);
+  }
+}
+
+// Owner id to store on new transcripts and jobs (null while authentication is off)
+function ownerIdOf(user) {
+  return user?.id ?? null;
+}
+
+// ownerId filter for listing: that user's id, or undefined (everything) while authentication is off
+function ownerScope(user) {
+  return isAuthEnabled() ? ownerIdOf(user) : undefined;
+}
+
+// Whether a user may see a transcript or job; everyone may while authentication is off
+function canAccess(user, resource) {
+  if (!isAuthEnabled()) return true;
+  return Boolean(user && resource && resource.ownerId === user.id);
+}
+
+// Allowed CORS origins from SOCKET_CORS_ORIGIN: "*" or a comma-separated list
+function getCorsOrigin(fallback = ['http://localhost:3000', 'http://localhost:3001']) {
+  const value = process.env.SOCKET_CORS_ORIGIN?.trim();
+  if (!value) return fallback;
+  if (value === '*') return '*';
+  return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+module.exports = {
+  isAuthEnabled,
+  signToken,
+  verifyToken,
+  getRequestToken,
+  requireAuth,
+  authenticateSocket,
+  ownerIdOf,
+  ownerScope,
+  canAccess,
+  getCorsOrigin
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [userId, expiresIn] = process.argv.slice(2);
+
+  if (!userId) {
+    console.error('Usage: node auth.js <userId> [expiresInSeconds]');
+    process.exit(1);
+  }
+
+  try {
+    console.log(signToken({ sub: userId }, { expiresIn: expiresIn !== undefined ? Number(expiresIn) : DEFAULT_EXPIRES_IN }));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,68 @@
+// Bounded-concurrency runner shared by TranscriptionService and
+// PythonTranscriptionService batch transcription.
+
+const DEFAULT_BATCH_CONCURRENCY = 2;
+
+/**
+ * Run `worker` over every item with at most `concurrency` in flight.
+ * Failures do not stop the batch; every item gets an entry in the result.
+ *
+ * @param {Array} items
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=2]
+ * @param {AbortSignal} [options.signal] - Aborting stops items that have not started yet
+ * @param {(event: Object) => void} [options.onProgress] - Called as each item starts and finishes with
+ *   { index, status: 'started'|'completed'|'failed'|'cancelled', completed, failed, cancelled, total, result?, error?, code? }
+ * @returns {Promise<Object[]>} In input order: { index, status, success, result?, error?, code? }
+ */
+async function runBatch(items, worker, { concurrency = DEFAULT_BATCH_CONCURRENCY, signal, onProgress } = {}) {
+  const total = items.length;
+  const results = new Array(total);
+  const counts = { completed: 0, failed: 0, cancelled: 0 };
+  let next = 0;
+
+  const report = (event) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ ...event, ...counts, total });
+    } catch (error) {
+      console.warn('Batch progress callback failed:', error.message);
+    }
+  };
+
+  const finish = (index, entry) => {
+    results[index] = { index, ...entry };
+    counts[entry.status]++;
+    report(results[index]);
+  };
+
+  const runWorker = async () => {
+    while (next < total) {
+      const index = next++;
+
+      if (signal?.aborted) {
+        finish(index, { status: 'cancelled', success: false, error: 'Batch cancelled' });
+        continue;
+      }
+
+      report({ index, status: 'started' });
+
+      try {
+        const result = await worker(items[index], index);
+        finish(index, { status: 'completed', success: true, result });
+      } catch (error) {
+        // Items interrupted by the abort count as cancelled, not failed
+        const status = signal?.aborted ? 'cancelled' : 'failed';
+        finish(index, { status, success: false, error: error.message, code: error.code || null });
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, total));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+
+  return results;
+}
+
+module.exports = { DEFAULT_BATCH_CONCURRENCY, runBatch };
@@ -0,0 +1,144 @@
+/**
+ * Confidence scoring from word- and segment-level transcription data.
+ *
+ * Every score is a probability in [0, 1]. Word confidences from the Python
+ * pipeline (whisper-timestamped) are used as-is; OpenAI verbose_json segments
+ * are mapped onto the same scale with logprobToConfidence(). Aggregates are
+ * duration-weighted so a long, mumbled word counts for more than a short, clear one.
+ */
+
+const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 0.5;
+const MIN_WEIGHT = 0.02; // seconds; whisper sometimes emits zero-length words
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+const hasConfidence = (item) => typeof item.confidence === 'number' && Number.isFinite(item.confidence);
+
+/**
+ * Map Whisper's segment statistics to a probability.
+ * exp(avg_logprob) is the geometric mean token probability; it is scaled down
+ * by the probability that the segment contains no speech at all.
+ * @param {number} avgLogprob - Mean token log-probability of the segment
+ * @param {number} [noSpeechProb] - Probability that the segment is silence
+ * @returns {number|null}
+ */
+function logprobToConfidence(avgLogprob, noSpeechProb = 0) {
+  if (typeof avgLogprob !== 'number' || !Number.isFinite(avgLogprob)) return null;
+  return clamp(Math.exp(avgLogprob) * (1 - clamp(noSpeechProb || 0)));
+}
+
+/**
+ * Duration-weighted mean confidence; items without a confidence are skipped.
+ * @param {Array<{ start: number, end: number, confidence?: number }>} items
+ * @returns {number|null} null when no item carries a confidence
+ */
+function weightedConfidence(items) {
+  let total = 0;
+  let weights = 0;
+
+  for (const item of items) {
+    if (!hasConfidence(item)) continue;
+    const weight = Math.max((Number(item.end) || 0) - (Number(item.start) || 0), MIN_WEIGHT);
+    total += clamp(item.confidence) * weight;
+    weights += weight;
+  }
+
+  return weights > 0 ? total / weights : null;
+}
+
+const itemText = (item) => String(item.word ?? item.text ?? '').trim();
+const speakerOf = (item) => (item.speaker && item.speaker !== 'Unknown' ? item.speaker : null);
+
+// Split word-level output back into segments: by the pipeline's segment_id when
+// present, otherwise by speaker turn. Segment-level entries are their own segment.
+function groupSegments(items) {
+  const groups = [];
+  let current = null;
+  let currentKey;
+
+  for (const item of items) {
+    const key = item.word === undefined
+      ? Symbol('segment')
+      : item.segment_id ?? speakerOf(item);
+
+    if (!current || key !== currentKey) {
+      current = [];
+      currentKey = key;
+      groups.push(current);
+    }
+    current.push(item);
+  }
+
+  return groups;
+}
+
+// Runs of consecutive items below the threshold
+function findLowConfidenceSpans(items, threshold) {
+  const spans = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    spans.push({
+      start: run[0].start,
+      end: run[run.length - 1].end,
+      speaker: speakerOf(run[0]),
+      text: run.map(itemText).join(' '),
+      confidence: weightedConfidence(run)
+    });
+    run = [];
+  };
+
+  for (const item of items) {
+    if (hasConfidence(item) && item.confidence < threshold) {
+      run.push(item);
+    } else {
+      flush();
+    }
+  }
+
+  flush();
+  return spans;
+}
+
+/**
+ * Score a transcription from its segments.
+ * @param {Object[]} segments - Word-level ({ word, start, end, speaker, confidence }) or
+ *   segment-level ({ text, start, end, confidence }) entries
+ * @param {Object} [options]
+ * @param {number} [options.lowConfidenceThreshold=0.5] - Items below this are reported as low-confidence spans
+ * @returns {{ confidence: number|null, confidenceDetails: Object }}
+ */
+function scoreTranscription(segments = [], options = {}) {
+  const threshold = options.lowConfidenceThreshold
+    ?? (parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || DEFAULT_LOW_CONFIDENCE_THRESHOLD);
+  const items = (segments || []).filter(item => itemText(item).length > 0);
+
+  const speakers = {};
+  for (const speaker of new Set(items.map(speakerOf).filter(Boolean))) {
+    speakers[speaker] = weightedConfidence(items.filter(item => speakerOf(item) === speaker));
+  }
+
+  return {
+    confidence: weightedConfidence(items),
+    confidenceDetails: {
+      threshold,
+      segments: groupSegments(items).map(group => ({
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        speaker: speakerOf(group[0]),
+        text: group.map(itemText).join(' '),
+        confidence: weightedConfidence(group)
+      })),
+      speakers,
+      lowConfidenceSpans: findLowConfidenceSpans(items, threshold)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LOW_CONFIDENCE_THRESHOLD,
+  logprobToConfidence,
+  weightedConfidence,
+  scoreTranscription
+};
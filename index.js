@@ -4,30 +4,90 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
+const TranscriptionService = require('./transcriptionService');
+const TranscriptStore = require('./transcriptStore');
+const { createTranscriptRouter } = require('./transcriptRoutes');
+const RuleSetStore = require('./ruleSetStore');
+const { createRuleSetRouter, resolveRuleSet } = require('./ruleSetRoutes');
+const { validateLanguage } = require('./languages');
+const { validateDisfluencyMode } = require('./postProcessor');
+const { parseTimeout } = require('./abortUtils');
+const { ERROR_CODES, TranscriptionError, serializeError } = require('./transcriptionErrors');
+const { base64ByteLength, checkSize, getLimits } = require('./audioValidator');
+const { authenticateSocket, getCorsOrigin, isAuthEnabled, ownerIdOf, requireAuth } = require('./auth');
+const RateLimiter = require('./rateLimiter');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: "*",
+    origin: getCorsOrigin(),
     methods: ["GET", "POST"]
-  }
+  },
+  // Recordings arrive base64-encoded in one message; leave room for that plus the envelope
+  maxHttpBufferSize: Math.ceil(getLimits().maxBytes * 4 / 3) + 64 * 1024
 });
 
+const transcriptionService = new TranscriptionService();
+const transcriptStore = new TranscriptStore();
+const ruleSetStore = new RuleSetStore();
+const rateLimiter = new RateLimiter();
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: getCorsOrigin() }));
+app.use(express.json({ limit: '10mb' })); // word-level results can be large
 app.use(express.static('public'));
 
+// Shared UI components that run without a bundler
+for (const file of ['transcript-viewer-dom.js', 'transcript-words.js']) {
+  app.get(`/ui/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, 'packages', 'ui', 'src', file));
+  });
+}
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Socket.io connection handling
+// Everything under /api is rate limited per IP (bad tokens included), then needs a token
+// (when JWT_SECRET is set) and is rate limited per user
+app.use('/api', rateLimiter.middleware(), requireAuth, rateLimiter.userMiddleware());
+
+// Export a transcription result as a file: { result, format: txt|md|srt|vtt|tsv|json, options }
+app.post('/api/export', (req, res) => {
+  const { result, format, options } = req.body || {};
+
+  if (!result) {
+    return res.status(400).json({ error: 'No transcription result provided' });
+  }
+
+  try {
+    const file = transcriptionService.exportTranscription(result, format, options);
+    res.type(file.mimeType);
+    res.attachment(`transcription_${new Date().toISOString().split('T')[0]}.${file.extension}`);
+    res.send(file.content);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Transcript history
+app.use('/api/transcripts', createTranscriptRouter({ store: transcriptStore, transcriptionService }));
+
+// Vocabulary and replacement rule sets, picked per recording with `ruleSet`
+app.use('/api/rulesets', createRuleSetRouter({ store: ruleSetStore }));
+
+// Socket.io connection handling; handshakes are rate limited per IP and must carry a token when JWT_SECRET is set
+io.use(rateLimiter.socketMiddleware());
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
+  // In-flight transcriptions for this socket, by recordingId
+  socket.data.transcriptions = new Map();
+
   socket.on('start-recording', () => {
     console.log('Recording started for user:', socket.id);
     socket.emit('recording-status', { status: 'recording' });
@@ -35,57 +95,145 @@ io.on('connection', (socket) => {
 
   socket.on('stop-recording', (audioData) => {
     console.log('Recording stopped for user:', socket.id);
+
+    try {
+      rateLimiter.check({ userId: socket.data.user?.id, ip: socket.handshake.address });
+    } catch (error) {
+      socket.emit('transcription-error', { ...serializeError(error), recordingId: audioData?.recordingId });
+      return;
+    }
+
     // Here we'll process the audio data and send it for transcription
     processAudioForTranscription(audioData, socket);
   });
 
+  // Cancel one transcription ({ recordingId }) or, without an id, all of this socket's
+  socket.on('cancel-transcription', (data) => {
+    const { transcriptions } = socket.data;
+    const recordingId = data?.recordingId;
+
+    if (recordingId !== undefined) {
+      transcriptions.get(recordingId)?.abort();
+    } else {
+      transcriptions.forEach(controller => controller.abort());
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    // Nobody is left to receive the results
+    socket.data.transcriptions.forEach(controller => controller.abort());
   });
 });
 
-// Audio processing function (placeholder)
+// Audio processing function
 async function processAudioForTranscription(audioData, socket) {
+  let language;
+  let disfluencies;
+  let timeout;
   try {
-    // Convert audio data to buffer
-    const audioBuffer = Buffer.from(audioData.audioBlob, 'base64');
+    language = validateLanguage(audioData?.language);
+    disfluencies = validateDisfluencyMode(audioData?.disfluencies);
+    timeout = parseTimeout(audioData?.timeout, transcriptionService.timeout);
+  } catch (error) {
+    socket.emit('transcription-error', { ...serializeError(error), recordingId: audioData?.recordingId });
+    return;
+  }
+
+  const recordingId = audioData?.recordingId;
+  const controller = new AbortController();
+  socket.data.transcriptions.get(recordingId)?.abort();
+  socket.data.transcriptions.set(recordingId, controller);
 
-    // Save audio file temporarily (optional)
-    const fs = require('fs');
-    const audioFileName = `temp_audio_${Date.now()}.wav`;
-    fs.writeFileSync(audioFileName, audioBuffer);
+  try {
+    if (typeof audioData?.audioBlob !== 'string' || audioData.audioBlob.length === 0) {
+      throw new TranscriptionError(ERROR_CODES.EMPTY_AUDIO, 'No audio data received');
+    }
 
-    // Send for transcription
-    const transcription = await transcribeAudio(audioBuffer);
+    // Check the size before decoding anything
+    checkSize(base64ByteLength(audioData.audioBlob));
 
-    // Send transcription back to client
+    // Optional post-processing rule set by id (see ruleSetRoutes.js)
+    const ruleSet = await resolveRuleSet(ruleSetStore, socket.data.user, audioData.ruleSet);
+
+    // Convert audio data to buffer; the services write their own temp files
+    // and the transcript store keeps the recording
+    const audioBuffer = Buffer.from(audioData.audioBlob, 'base64');
+
+    // Format, duration and silence checks, then transcription in the language picked on the
+    // client ('auto' detects it). audioData.timeout (ms) shortens TRANSCRIPTION_TIMEOUT_MS
+    // for this recording, checks included.
+    const result = await transcriptionService.transcribeAudio(audioBuffer, {
+      validate: true,
+      language,
+      ruleSet,
+      disfluencies,
+      signal: controller.signal,
+      timeout
+    });
+
+    // Keep the recording in the transcript history; a storage failure
+    // should not cost the client its result
+    let transcriptId = null;
+    try {
+      const transcript = await transcriptStore.create({
+        result,
+        audioBuffer,
+        source: 'recording',
+        ownerId: ownerIdOf(socket.data.user)
+      });
+      transcriptId = transcript.id;
+    } catch (storeError) {
+      console.error('Failed to store transcript:', storeError);
+    }
+
+    // Send the full transcription result back to client
     socket.emit('transcription-result', {
-      transcription: transcription,
+      transcriptId,
+      transcription: {
+        text: result.text,
+        language: result.language,
+        languageProbability: result.languageProbability ?? null,
+        segments: result.segments || [],
+        speakers: result.speakers || [],
+        duration: result.duration || 0,
+        pipeline: result.pipeline,
+        confidence: result.confidence,
+        confidenceDetails: result.confidenceDetails,
+        postProcessing: result.postProcessing || null
+      },
+      recordingId,
       timestamp: new Date().toISOString()
     });
 
-    // Clean up temporary file
-    fs.unlinkSync(audioFileName);
-
   } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('Transcription cancelled for user:', socket.id);
+      socket.emit('transcription-cancelled', { recordingId });
+      return;
+    }
+
     console.error('Error processing audio:', error);
-    socket.emit('transcription-error', {
-      error: 'Failed to process audio for transcription'
-    });
+    // Clients pick their message by `code`; errors from outside the transcription stack stay generic
+    const payload = error instanceof TranscriptionError
+      ? serializeError(error)
+      : { code: ERROR_CODES.TRANSCRIPTION_FAILED, error: 'Failed to process audio for transcription' };
+    socket.emit('transcription-error', { ...payload, recordingId });
+  } finally {
+    if (socket.data.transcriptions.get(recordingId) === controller) {
+      socket.data.transcriptions.delete(recordingId);
+    }
   }
 }
 
-// Transcription function (placeholder - will use OpenAI Whisper)
-async function transcribeAudio(audioBuffer) {
-  // This will be implemented when we add the OpenAI integration
-  return "Transcription will be implemented with OpenAI Whisper API";
-}
-
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Audio Transa server running on port ${PORT}`);
   console.log(`📝 Open http://localhost:${PORT} in your browser`);
+  if (!isAuthEnabled()) {
+    console.warn('⚠️ JWT_SECRET is not set: authentication is disabled and all transcripts are shared');
+  }
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+// Languages every transcription path accepts, keyed by ISO 639-1 code.
+// Names match what Whisper reports, e.g. OpenAI verbose_json returns "swedish".
+const LANGUAGE_NAMES = {
+  en: 'english', es: 'spanish', fr: 'french', de: 'german', it: 'italian',
+  pt: 'portuguese', ru: 'russian', ja: 'japanese', ko: 'korean', zh: 'chinese',
+  ar: 'arabic', hi: 'hindi', nl: 'dutch', pl: 'polish', tr: 'turkish',
+  sv: 'swedish', da: 'danish', no: 'norwegian', fi: 'finnish', he: 'hebrew',
+  th: 'thai', cs: 'czech', hu: 'hungarian', el: 'greek', bg: 'bulgarian',
+  hr: 'croatian', sk: 'slovak', sl: 'slovenian', et: 'estonian', lv: 'latvian',
+  lt: 'lithuanian', mt: 'maltese', ro: 'romanian', sq: 'albanian', bs: 'bosnian',
+  mk: 'macedonian', sr: 'serbian', uk: 'ukrainian', ka: 'georgian', hy: 'armenian'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+// Let the recognizer detect the spoken language
+const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Normalize and check a requested language.
+ * Accepts any case and region tags ("sv-SE" -> "sv"); empty means "use the provider default".
+ * @param {string} [language]
+ * @returns {string|undefined} Supported code, 'auto', or undefined when none was given
+ * @throws {TranscriptionError} UNSUPPORTED_LANGUAGE for codes outside SUPPORTED_LANGUAGES
+ */
+function validateLanguage(language) {
+  if (language === undefined || language === null || language === '') return undefined;
+
+  const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+  if (code === AUTO_LANGUAGE || LANGUAGE_NAMES[code]) return code;
+
+  throw new TranscriptionError(
+    ERROR_CODES.UNSUPPORTED_LANGUAGE,
+    `Unsupported language "${language}". Use "${AUTO_LANGUAGE}" or one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+  );
+}
+
+// "swedish" or "sv" -> "sv"; null for anything unrecognized
+function toLanguageCode(nameOrCode) {
+  if (!nameOrCode) return null;
+
+  const value = String(nameOrCode).toLowerCase();
+  if (LANGUAGE_NAMES[value]) return value;
+
+  return SUPPORTED_LANGUAGES.find(code => LANGUAGE_NAMES[code] === value) || null;
+}
+
+module.exports = {
+  AUTO_LANGUAGE,
+  LANGUAGE_NAMES,
+  SUPPORTED_LANGUAGES,
+  validateLanguage,
+  toLanguageCode
+};
@@ -0,0 +1,191 @@
+/**
+ * Meeting analytics built on the speaker turns in speakerTurns.js: each speaker's
+ * share of the talking, turn-taking, overlaps, interruptions, silences and speaking
+ * rate over time. Exported as JSON (the report itself) or as CSV tables.
+ *
+ * Overlaps and interruptions are measured on the pipeline's diarization turns
+ * (speakerTurns.js measureOverlaps); results without diarization report them as null.
+ */
+
+const { DEFAULT_TURN_OPTIONS, buildTurns, measureOverlaps, summarizeSpeakers } = require('./speakerTurns');
+
+const DEFAULT_ANALYTICS_OPTIONS = {
+  minSilence: 2, // seconds without speech reported as a silence gap
+  rateWindow: 60, // seconds per speaking-rate bucket
+  maxPause: DEFAULT_TURN_OPTIONS.maxPause
+};
+
+const CSV_TABLES = ['speakers', 'silences', 'rate'];
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Total time covered by at least one turn, and the gaps between that coverage
+function measureSpeech(turns, duration, minSilence) {
+  const silences = [];
+  let speechTime = 0;
+  let covered = 0; // end of the speech seen so far
+
+  const addGap = (start, end) => {
+    if (end - start >= minSilence) {
+      silences.push({ start: round(start), end: round(end), duration: round(end - start) });
+    }
+  };
+
+  for (const turn of [...turns].sort((a, b) => a.start - b.start)) {
+    if (turn.start > covered) {
+      addGap(covered, turn.start);
+      speechTime += turn.end - turn.start;
+    } else if (turn.end > covered) {
+      speechTime += turn.end - covered;
+    }
+    covered = Math.max(covered, turn.end);
+  }
+
+  addGap(covered, duration);
+  return { speechTime, silences };
+}
+
+// Words per minute in fixed windows, overall and per speaker
+function measureRate(turns, duration, rateWindow) {
+  const windows = [];
+  for (let start = 0; start < duration; start += rateWindow) {
+    windows.push({ start, end: Math.min(start + rateWindow, duration), words: 0, bySpeaker: {} });
+  }
+
+  for (const turn of turns) {
+    for (const word of turn.words) {
+      const window = windows[Math.min(Math.floor(word.start / rateWindow), windows.length - 1)];
+      if (!window) continue;
+
+      const count = word.text.split(/\s+/).length;
+      window.words += count;
+      if (turn.speakerId) {
+        window.bySpeaker[turn.speakerId] = (window.bySpeaker[turn.speakerId] || 0) + count;
+      }
+    }
+  }
+
+  return windows.map(({ start, end, words, bySpeaker }) => {
+    const minutes = (end - start) / 60;
+    return {
+      start: round(start),
+      end: round(end),
+      words,
+      wordsPerMinute: minutes > 0 ? round(words / minutes, 1) : 0,
+      bySpeaker: Object.fromEntries(
+        Object.entries(bySpeaker).map(([speaker, count]) => [speaker, minutes > 0 ? round(count / minutes, 1) : 0])
+      )
+    };
+  });
+}
+
+/**
+ * Analyze a transcription result as a meeting.
+ * @param {Object} result - Transcription result or stored transcript with word-level `segments`
+ *   and, from the Python pipeline, `diarization` turns
+ * @param {Object} [options] - See DEFAULT_ANALYTICS_OPTIONS
+ * @returns {Object} Report: { duration, speechTime, silenceTime, speakerCount, speakers, turnTaking,
+ *   longestMonologue, overlaps, interruptions, silences, speakingRate }
+ */
+function analyzeMeeting(result, options = {}) {
+  const opts = { ...DEFAULT_ANALYTICS_OPTIONS, ...options };
+  const turns = buildTurns(result.segments || [], { maxPause: opts.maxPause, speakerNames: result.speakerNames || {} });
+  const stats = summarizeSpeakers(turns, { diarization: result.diarization });
+
+  const duration = Math.max(result.duration || 0, ...turns.map(turn => turn.end));
+  const { speechTime, silences } = measureSpeech(turns, duration, opts.minSilence);
+  const overlaps = measureOverlaps(result.diarization);
+  const totalTalkTime = stats.reduce((sum, stat) => sum + stat.talkTime, 0);
+
+  const known = turns.filter(turn => turn.speakerId);
+  const longest = known.reduce((best, turn) => (!best || turn.duration > best.duration ? turn : best), null);
+  const speakerChanges = known.filter((turn, i) => i > 0 && turn.speakerId !== known[i - 1].speakerId).length;
+
+  return {
+    duration: round(duration),
+    speechTime: round(speechTime),
+    silenceTime: round(Math.max(0, duration - speechTime)),
+    speakerCount: stats.length,
+    speakers: stats.map(stat => ({
+      speaker: stat.speaker,
+      name: stat.name,
+      talkTime: stat.talkTime,
+      share: totalTalkTime > 0 ? round(stat.talkTime / totalTalkTime) : 0,
+      turnCount: stat.turnCount,
+      wordCount: stat.wordCount,
+      wordsPerMinute: stat.wordsPerMinute,
+      longestTurn: stat.longestTurn,
+      // null (not measured) without diarization turns
+      overlapTime: stat.overlapTime,
+      interruptions: stat.interruptions,
+      interrupted: stat.interrupted
+    })),
+    turnTaking: {
+      turnCount: known.length,
+      speakerChanges,
+      averageTurnDuration: known.length > 0 ? round(known.reduce((sum, turn) => sum + turn.duration, 0) / known.length) : 0,
+      turnsPerMinute: duration > 0 ? round(known.length / (duration / 60), 1) : 0
+    },
+    longestMonologue: longest && {
+      speaker: longest.speakerId,
+      name: longest.speaker,
+      start: longest.start,
+      end: longest.end,
+      duration: round(longest.duration),
+      wordCount: longest.wordCount
+    },
+    overlaps: overlaps && { count: overlaps.count, totalTime: overlaps.totalTime },
+    interruptions: overlaps && overlaps.interruptions,
+    silences,
+    speakingRate: measureRate(turns, duration, opts.rateWindow)
+  };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRows = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+
+/**
+ * One table of a report as CSV.
+ * @param {Object} report - From analyzeMeeting()
+ * @param {string} [table] - speakers, silences or rate
+ * @returns {string}
+ */
+function toAnalyticsCsv(report, table = 'speakers') {
+  if (table === 'speakers') {
+    return toCsvRows(
+      ['speaker', 'name', 'talk_time', 'share', 'turns', 'words', 'words_per_minute', 'longest_turn', 'overlap_time', 'interruptions', 'interrupted'],
+      report.speakers.map(speaker => [
+        speaker.speaker, speaker.name, speaker.talkTime, speaker.share, speaker.turnCount, speaker.wordCount,
+        speaker.wordsPerMinute, speaker.longestTurn, speaker.overlapTime, speaker.interruptions, speaker.interrupted
+      ])
+    );
+  }
+
+  if (table === 'silences') {
+    return toCsvRows(['start', 'end', 'duration'], report.silences.map(gap => [gap.start, gap.end, gap.duration]));
+  }
+
+  if (table === 'rate') {
+    const speakers = report.speakers.map(speaker => speaker.speaker);
+    return toCsvRows(
+      ['start', 'end', 'words', 'words_per_minute', ...report.speakers.map(speaker => `${speaker.name}_words_per_minute`)],
+      report.speakingRate.map(window => [
+        window.start, window.end, window.words, window.wordsPerMinute,
+        ...speakers.map(speaker => window.bySpeaker[speaker] ?? 0)
+      ])
+    );
+  }
+
+  throw new Error(`Unknown analytics table "${table}". Tables: ${CSV_TABLES.join(', ')}`);
+}
+
+module.exports = {
+  DEFAULT_ANALYTICS_OPTIONS,
+  CSV_TABLES,
+  analyzeMeeting,
+  toAnalyticsCsv
+};
@@ -0,0 +1,169 @@
+// Framework-free counterpart of transcript-viewer.tsx for pages without React
+// (the vanilla client in /public loads it as an ES module from /ui/).
+
+import {
+  confidenceOpacity,
+  findActiveWord,
+  listSpeakers,
+  speakerColor,
+  speakerName,
+  wordTitle,
+} from "./transcript-words.js";
+
+export {
+  SPEAKER_COLORS,
+  confidenceOpacity,
+  findActiveWord,
+  speakerColor,
+} from "./transcript-words.js";
+
+/**
+ * Render an interactive transcript into `container`.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} transcript
+ * @param {Array<{ word: string, start: number, end: number, speaker?: string, confidence?: number }>} transcript.words
+ * @param {string} [transcript.audioSrc] - Audio to play back and sync with
+ * @param {Object<string, string>} [transcript.speakerNames] - Display names keyed by raw speaker label
+ * @param {(label: string, name: string) => void} [transcript.onRenameSpeaker] - Enables inline renaming in the legend
+ * @returns {{ seek: (time: number) => void, destroy: () => void }}
+ */
+export function createTranscriptViewer(
+  container,
+  { words, audioSrc, speakerNames = {}, onRenameSpeaker },
+) {
+  const nameOf = (speaker) => speakerName(speaker, speakerNames);
+  const speakers = listSpeakers(words);
+
+  container.replaceChildren();
+
+  let audio = null;
+  if (audioSrc) {
+    audio = document.createElement("audio");
+    audio.src = audioSrc;
+    audio.controls = true;
+    audio.style.width = "100%";
+    audio.style.marginBottom = "0.75rem";
+    container.appendChild(audio);
+  }
+
+  if (speakers.length > 0) {
+    const legend = document.createElement("div");
+    legend.style.cssText =
+      "display:flex;gap:0.75rem;flex-wrap:wrap;margin-bottom:0.5rem;font-size:0.85em";
+    speakers.forEach((speaker) => {
+      const item = document.createElement("span");
+      item.textContent = `● ${nameOf(speaker)}`;
+      item.style.color = speakerColor(speaker, speakers);
+      item.style.fontWeight = "600";
+
+      if (onRenameSpeaker) {
+        item.title = `Rename ${speaker}`;
+        item.style.cursor = "text";
+        item.addEventListener("click", () => {
+          const input = document.createElement("input");
+          input.value = nameOf(speaker);
+          input.setAttribute("aria-label", `Name for ${speaker}`);
+          input.style.font = "inherit";
+          input.style.width = "10em";
+
+          let done = false;
+          const finish = (save) => {
+            if (done) return;
+            done = true;
+            input.replaceWith(item);
+            const name = input.value.trim();
+            if (save && name !== nameOf(speaker)) {
+              onRenameSpeaker(speaker, name);
+            }
+          };
+          input.addEventListener("blur", () => finish(true));
+          input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") finish(true);
+            else if (event.key === "Escape") finish(false);
+          });
+
+          item.replaceWith(input);
+          input.focus();
+          input.select();
+        });
+      }
+
+      legend.appendChild(item);
+    });
+    container.appendChild(legend);
+  }
+
+  const paragraph = document.createElement("p");
+  paragraph.style.lineHeight = "1.8";
+  paragraph.style.margin = "0";
+
+  const spans = words.map((word) => {
+    const span = document.createElement("span");
+    span.textContent = word.word;
+    span.title = wordTitle(word, speakerNames);
+    span.style.color = speakerColor(word.speaker, speakers);
+    span.style.opacity = String(confidenceOpacity(word.confidence));
+    span.style.borderRadius = "3px";
+    span.style.cursor = audio ? "pointer" : "default";
+    span.addEventListener("click", () => {
+      if (!audio) return;
+      audio.currentTime = word.start;
+      highlight(word.start);
+      audio.play();
+    });
+    paragraph.append(span, " ");
+    return span;
+  });
+
+  container.appendChild(paragraph);
+
+  let activeIndex = -1;
+  const highlight = (time) => {
+    const index = findActiveWord(words, time);
+    if (index === activeIndex) return;
+    if (activeIndex !== -1) spans[activeIndex].style.background = "";
+    if (index !== -1) {
+      spans[index].style.background = "#fde68a";
+      spans[index].scrollIntoView({ block: "nearest" });
+    }
+    activeIndex = index;
+  };
+
+  // timeupdate only fires a few times a second; follow playback per frame instead
+  let frame = 0;
+  const tick = () => {
+    highlight(audio.currentTime);
+    if (!audio.paused) {
+      frame = requestAnimationFrame(tick);
+    }
+  };
+  const start = () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(tick);
+  };
+  const sync = () => highlight(audio.currentTime);
+
+  if (audio) {
+    audio.addEventListener("play", start);
+    audio.addEventListener("seeked", sync);
+    audio.addEventListener("pause", sync);
+  }
+
+  return {
+    // Jump playback (or just the highlight, without audio) to `time` seconds
+    seek(time) {
+      if (audio) audio.currentTime = time;
+      highlight(time);
+    },
+    destroy() {
+      cancelAnimationFrame(frame);
+      if (audio) {
+        audio.pause();
+        audio.removeEventListener("play", start);
+        audio.removeEventListener("seeked", sync);
+        audio.removeEventListener("pause", sync);
+      }
+      container.replaceChildren();
+    },
+  };
+}
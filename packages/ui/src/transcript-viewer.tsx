@@ -0,0 +1,185 @@
+"use client";
+
+import { type JSX, useEffect, useMemo, useRef, useState } from "react";
+
+import {
+  type TranscriptWord,
+  confidenceOpacity,
+  findActiveWord,
+  listSpeakers,
+  speakerColor,
+  speakerName,
+  wordTitle,
+} from "./transcript-words.js";
+
+export {
+  type TranscriptWord,
+  SPEAKER_COLORS,
+  confidenceOpacity,
+  findActiveWord,
+  speakerColor,
+} from "./transcript-words.js";
+
+interface TranscriptViewerProps {
+  words: TranscriptWord[];
+  audioSrc?: string;
+  className?: string;
+  /** Display names keyed by raw speaker label, e.g. { SPEAKER_00: "Anna" } */
+  speakerNames?: Record<string, string>;
+  /** Enables inline renaming in the speaker legend; an empty name resets the label */
+  onRenameSpeaker?: (label: string, name: string) => void;
+}
+
+export function TranscriptViewer({
+  words,
+  audioSrc,
+  className,
+  speakerNames = {},
+  onRenameSpeaker,
+}: TranscriptViewerProps): JSX.Element {
+  const audioRef = useRef<HTMLAudioElement>(null);
+  const activeRef = useRef<HTMLSpanElement>(null);
+  const [currentTime, setCurrentTime] = useState(-1);
+  const [editingSpeaker, setEditingSpeaker] = useState<string | null>(null);
+
+  const nameOf = (speaker: string | null | undefined) =>
+    speakerName(speaker, speakerNames);
+
+  const commitRename = (label: string, name: string) => {
+    setEditingSpeaker(null);
+    if (name.trim() !== nameOf(label)) {
+      onRenameSpeaker?.(label, name.trim());
+    }
+  };
+
+  const speakers = useMemo(() => listSpeakers(words), [words]);
+
+  const activeIndex = useMemo(
+    () => findActiveWord(words, currentTime),
+    [words, currentTime],
+  );
+
+  // timeupdate only fires a few times a second; follow playback per frame instead
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    let frame = 0;
+    const tick = () => {
+      setCurrentTime(audio.currentTime);
+      if (!audio.paused) {
+        frame = requestAnimationFrame(tick);
+      }
+    };
+    const start = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(tick);
+    };
+    const sync = () => setCurrentTime(audio.currentTime);
+
+    audio.addEventListener("play", start);
+    audio.addEventListener("seeked", sync);
+    audio.addEventListener("pause", sync);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      audio.removeEventListener("play", start);
+      audio.removeEventListener("seeked", sync);
+      audio.removeEventListener("pause", sync);
+    };
+  }, [audioSrc]);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const seek = (time: number) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    setCurrentTime(time);
+    void audio.play();
+  };
+
+  return (
+    <div className={className}>
+      {audioSrc && (
+        <audio
+          ref={audioRef}
+          src={audioSrc}
+          controls
+          style={{ width: "100%", marginBottom: "0.75rem" }}
+        />
+      )}
+      {speakers.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            gap: "0.75rem",
+            flexWrap: "wrap",
+            marginBottom: "0.5rem",
+            fontSize: "0.85em",
+          }}
+        >
+          {speakers.map((speaker) =>
+            editingSpeaker === speaker ? (
+              <input
+                key={speaker}
+                autoFocus
+                defaultValue={nameOf(speaker)}
+                aria-label={`Name for ${speaker}`}
+                onBlur={(event) => commitRename(speaker, event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === "Enter") {
+                    commitRename(speaker, event.currentTarget.value);
+                  } else if (event.key === "Escape") {
+                    setEditingSpeaker(null);
+                  }
+                }}
+                style={{ font: "inherit", width: "10em" }}
+              />
+            ) : (
+              <span
+                key={speaker}
+                onClick={
+                  onRenameSpeaker ? () => setEditingSpeaker(speaker) : undefined
+                }
+                title={onRenameSpeaker ? `Rename ${speaker}` : speaker}
+                style={{
+                  color: speakerColor(speaker, speakers),
+                  fontWeight: 600,
+                  cursor: onRenameSpeaker ? "text" : "default",
+                }}
+              >
+                ● {nameOf(speaker)}
+              </span>
+            ),
+          )}
+        </div>
+      )}
+      <p style={{ lineHeight: 1.8, margin: 0 }}>
+        {words.map((word, index) => {
+          const active = index === activeIndex;
+          return (
+            <span key={`${word.start}-${index}`}>
+              <span
+                ref={active ? activeRef : undefined}
+                onClick={() => seek(word.start)}
+                title={wordTitle(word, speakerNames)}
+                style={{
+                  color: speakerColor(word.speaker, speakers),
+                  opacity: confidenceOpacity(word.confidence),
+                  background: active ? "#fde68a" : undefined,
+                  borderRadius: "3px",
+                  cursor: audioSrc ? "pointer" : "default",
+                }}
+              >
+                {word.word}
+              </span>{" "}
+            </span>
+          );
+        })}
+      </p>
+    </div>
+  );
+}
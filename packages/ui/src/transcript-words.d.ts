@@ -0,0 +1,35 @@
+export interface TranscriptWord {
+  word: string;
+  start: number;
+  end: number;
+  speaker?: string | null;
+  confidence?: number | null;
+}
+
+export declare const SPEAKER_COLORS: readonly string[];
+
+export declare function listSpeakers(words: TranscriptWord[]): string[];
+
+export declare function speakerColor(
+  speaker: string | null | undefined,
+  speakers: string[],
+): string;
+
+export declare function speakerName(
+  speaker: string | null | undefined,
+  speakerNames?: Record<string, string>,
+): string;
+
+export declare function confidenceOpacity(
+  confidence: number | null | undefined,
+): number;
+
+export declare function wordTitle(
+  word: TranscriptWord,
+  speakerNames?: Record<string, string>,
+): string;
+
+export declare function findActiveWord(
+  words: TranscriptWord[],
+  time: number,
+): number;
@@ -0,0 +1,71 @@
+// Word helpers shared by transcript-viewer.tsx and transcript-viewer-dom.js, so both
+// front-ends group speakers, colour, fade, label and highlight words alike. Plain ES
+// module so the vanilla client can load it without a bundler; types in transcript-words.d.ts.
+
+export const SPEAKER_COLORS = [
+  "#2563eb",
+  "#db2777",
+  "#16a34a",
+  "#ea580c",
+  "#7c3aed",
+  "#0891b2",
+  "#ca8a04",
+  "#dc2626",
+];
+
+// Speaker labels in order of first appearance, without "Unknown"
+export function listSpeakers(words) {
+  return [
+    ...new Set(
+      words
+        .map((word) => word.speaker)
+        .filter((speaker) => speaker && speaker !== "Unknown"),
+    ),
+  ];
+}
+
+export function speakerColor(speaker, speakers) {
+  const index = speaker ? speakers.indexOf(speaker) : -1;
+  return index === -1
+    ? "#374151"
+    : SPEAKER_COLORS[index % SPEAKER_COLORS.length];
+}
+
+// Display name for a raw speaker label
+export function speakerName(speaker, speakerNames = {}) {
+  return speaker ? (speakerNames[speaker] ?? speaker) : "Unknown";
+}
+
+// Low-confidence words fade out; unknown confidence renders fully opaque
+export function confidenceOpacity(confidence) {
+  if (confidence === null || confidence === undefined) return 1;
+  return 0.35 + 0.65 * Math.min(Math.max(confidence, 0), 1);
+}
+
+// Tooltip for a word: "Anna · 12.34s · 87%"
+export function wordTitle(word, speakerNames = {}) {
+  const confidence =
+    typeof word.confidence === "number"
+      ? ` · ${Math.round(word.confidence * 100)}%`
+      : "";
+  return `${speakerName(word.speaker, speakerNames)} · ${word.start.toFixed(2)}s${confidence}`;
+}
+
+// Index of the word being spoken at `time`, or -1 (words must be sorted by start)
+export function findActiveWord(words, time) {
+  let low = 0;
+  let high = words.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (words[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found !== -1 && time <= words[found].end ? found : -1;
+}
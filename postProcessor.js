@@ -0,0 +1,523 @@
+/**
+ * Post-processing for transcription results: custom vocabulary and find-and-replace rules.
+ *
+ * A rule set is { name, vocabulary: string[], rules: Rule[] }. The vocabulary becomes the
+ * Whisper initial prompt (buildInitialPrompt), which nudges both Whisper paths towards those
+ * spellings. Rules are then applied to the finished result (applyRules):
+ *
+ *   { find, replace, regex = false, caseSensitive = false, wholeWord = !regex }
+ *
+ * Rules run on the text of consecutive words from the same Whisper segment and speaker, so a
+ * rule can match across words ("chat g p t" -> "ChatGPT"). Words a match touches are merged
+ * into one word that keeps the first word's start and the last word's end; untouched words
+ * keep their timings exactly. Each changed word remembers its `original` text.
+ * Regex rules are user input, so patterns prone to catastrophic backtracking (a repeated
+ * group with its own quantifier or alternatives) are refused when saved, and matching runs
+ * in a vm context that is stopped once a pass of the rule set exceeds LIMITS.ruleTimeMs.
+ *
+ * Disfluencies are handled per request (applyDisfluencyMode): "verbatim" keeps everything,
+ * "clean" drops fillers ("eh", "öh", "liksom"), repeated words ("jag jag tror") and the
+ * pipeline's disfluency tokens ("[*]"), and "mark" keeps them but flags them: fillers and
+ * repeats are put in parentheses and carry `disfluency`. Words are only dropped or relabeled,
+ * never retimed, so every export built from the segments stays in sync with the audio.
+ */
+
+const vm = require('vm');
+const { weightedConfidence } = require('./confidenceScorer');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const LIMITS = {
+  nameLength: 100,
+  vocabularySize: 200,
+  termLength: 100,
+  ruleCount: 200,
+  patternLength: 200,
+  promptLength: 800, // Whisper reads at most 224 prompt tokens; longer prompts are cut off
+  ruleTimeMs: 1000 // matching time for one pass of a rule set over a transcript
+};
+
+// Letters and digits in any script, so whole-word matching works for "åäö" too
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}_])';
+
+const DISFLUENCY_MODES = ['verbatim', 'clean', 'mark'];
+
+// Filler words by language; other languages get COMMON_FILLERS
+const DEFAULT_FILLERS = {
+  sv: ['eh', 'ehm', 'öh', 'öhm', 'äh', 'ähm', 'hm', 'hmm', 'mm', 'liksom'],
+  en: ['uh', 'uhm', 'um', 'er', 'erm', 'ah', 'eh', 'hm', 'hmm', 'mm']
+};
+const COMMON_FILLERS = ['eh', 'ehm', 'uh', 'um', 'hm', 'hmm', 'mm'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check and normalize a rule set from an API request.
+ * @param {Object} input - { name, vocabulary, rules }
+ * @returns {{ name: string, vocabulary: string[], rules: Object[] }}
+ * @throws {Error} Describing the first invalid field
+ */
+function normalizeRuleSet(input = {}) {
+  const { name, vocabulary = [], rules = [] } = input;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > LIMITS.nameLength) {
+    throw new Error(`name must be a non-empty string of at most ${LIMITS.nameLength} characters`);
+  }
+  if (!Array.isArray(vocabulary) || vocabulary.length > LIMITS.vocabularySize) {
+    throw new Error(`vocabulary must be an array of at most ${LIMITS.vocabularySize} terms`);
+  }
+  if (!Array.isArray(rules) || rules.length > LIMITS.ruleCount) {
+    throw new Error(`rules must be an array of at most ${LIMITS.ruleCount} rules`);
+  }
+
+  const terms = vocabulary.map((term, i) => {
+    if (typeof term !== 'string' || !term.trim() || term.length > LIMITS.termLength) {
+      throw new Error(`vocabulary[${i}] must be a non-empty string of at most ${LIMITS.termLength} characters`);
+    }
+    return term.trim();
+  });
+
+  return {
+    name: name.trim(),
+    vocabulary: [...new Set(terms)],
+    rules: rules.map((rule, i) => normalizeRule(rule, i))
+  };
+}
+
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`rules[${index}] must be an object of { find, replace }`);
+  }
+
+  const { find, replace = '', regex = false, caseSensitive = false, wholeWord = !regex } = rule;
+  if (typeof find !== 'string' || !find || find.length > LIMITS.patternLength) {
+    throw new Error(`rules[${index}].find must be a non-empty string of at most ${LIMITS.patternLength} characters`);
+  }
+  if (typeof replace !== 'string' || replace.length > LIMITS.patternLength) {
+    throw new Error(`rules[${index}].replace must be a string of at most ${LIMITS.patternLength} characters`);
+  }
+
+  const normalized = { find, replace, regex: Boolean(regex), caseSensitive: Boolean(caseSensitive), wholeWord: Boolean(wholeWord) };
+
+  let pattern;
+  try {
+    pattern = compileRule(normalized);
+  } catch (error) {
+    throw new Error(`rules[${index}].find is not a valid regular expression: ${error.message}`);
+  }
+  if (pattern.test('')) {
+    throw new Error(`rules[${index}].find must not match empty text`);
+  }
+  if (normalized.regex && hasNestedRepetition(find)) {
+    throw new Error(
+      `rules[${index}].find repeats a group that itself contains a quantifier or alternatives, ` +
+      'e.g. (a+)+; such patterns can take exponential time'
+    );
+  }
+
+  return normalized;
+}
+
+// True when a repeated group (*, + or {n,m}) contains a repeat or "|" of its own, e.g.
+// (a+)+ or (a|aa)*. Rules run on the event loop, so these catastrophic-backtracking shapes
+// are refused up front. `source` must already compile with the "u" flag.
+function hasNestedRepetition(source) {
+  const groups = [{ repeats: false, alternates: false }];
+  const isRepeat = (char) => char === '*' || char === '+' || char === '{';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      // Skip the escaped character, and the braces of \p{...}, \P{...} and \u{...}
+      i++;
+      if ('pPu'.includes(source[i]) && source[i + 1] === '{') i = source.indexOf('}', i);
+    } else if (char === '[') {
+      // Character class: nothing inside it repeats
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ')') {
+      const group = groups.pop();
+      const repeated = isRepeat(source[i + 1]);
+      if (repeated && (group.repeats || group.alternates)) return true;
+      groups[groups.length - 1].repeats ||= group.repeats || repeated;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (isRepeat(char)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return false;
+}
+
+// Rule -> global RegExp; literal text is escaped and its whitespace matches any spacing
+function compileRule({ find, regex, caseSensitive, wholeWord }) {
+  let source = regex ? find : escapeRegExp(find.trim()).replace(/\s+/g, '\\s+');
+  if (wholeWord) {
+    source = `${WORD_BEFORE}(?:${source})${WORD_AFTER}`;
+  }
+  return new RegExp(source, `gu${caseSensitive ? '' : 'i'}`);
+}
+
+/**
+ * Whisper initial prompt from a vocabulary list: "Term one, Term two, ..." cut at whole
+ * terms to stay within what Whisper reads.
+ * @param {string[]} [vocabulary]
+ * @returns {string|null} null when there is nothing to prompt with
+ */
+function buildInitialPrompt(vocabulary = []) {
+  let prompt = '';
+  for (const term of vocabulary) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length + 1 > LIMITS.promptLength) break;
+    prompt = next;
+  }
+  return prompt ? `${prompt}.` : null;
+}
+
+// Matching happens inside this context so V8 can interrupt a pattern that backtracks for too long
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script(
+  'texts.map(text => Array.from(text.matchAll(pattern), m => ({ index: m.index, match: m[0], captures: m.slice(1), named: m.groups })))'
+);
+
+// Every match of `pattern` in each of `texts`, within what is left until `deadline`
+function findMatches(texts, pattern, deadline, index) {
+  const timeout = Math.ceil(deadline - Date.now());
+  if (timeout > 0) {
+    Object.assign(matchContext, { texts, pattern });
+    try {
+      return matchScript.runInContext(matchContext, { timeout });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    } finally {
+      Object.assign(matchContext, { texts: null, pattern: null });
+    }
+  }
+
+  throw new TranscriptionError(
+    ERROR_CODES.TIMEOUT,
+    `Replacement rules took longer than ${LIMITS.ruleTimeMs} ms; simplify rules[${index}].find`
+  );
+}
+
+// "$1", "$<name>", "$&" and "$$" in a replacement, as String.prototype.replace expands them
+function expandReplacement(replace, match, captures, named) {
+  return replace.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return match;
+    if (name !== undefined) return named?.[name] ?? '';
+    return Number(what) >= 1 && Number(what) <= captures.length ? captures[Number(what) - 1] ?? '' : token;
+  });
+}
+
+// Replace the matches findMatches() found in a string, recording where each came from and went to
+function replaceWithSpans(text, matches, replace) {
+  const edits = [];
+  let delta = 0;
+  let output = '';
+  let next = 0;
+
+  for (const { index: offset, match, captures, named } of matches) {
+    if (!match) continue;
+
+    const replacement = expandReplacement(replace, match, captures, named);
+    output += text.slice(next, offset) + replacement;
+    next = offset + match.length;
+
+    edits.push({ start: offset, end: next, outEnd: offset + delta + replacement.length });
+    delta += replacement.length - match.length;
+  }
+  output += text.slice(next);
+
+  // Position in `text` -> position in `output`, for positions outside matches
+  const map = (position) => {
+    let shift = 0;
+    for (const edit of edits) {
+      if (edit.end > position) break;
+      shift = edit.outEnd - edit.end;
+    }
+    return position + shift;
+  };
+
+  return { output, edits, map };
+}
+
+// The text rules see for a run of segments, and where each segment sits in it
+function joinRun(run, key) {
+  const spans = [];
+  let text = '';
+  for (const segment of run) {
+    if (text) text += ' ';
+    const value = String(segment[key]).trim();
+    spans.push({ start: text.length, end: text.length + value.length });
+    text += value;
+  }
+  return { text, spans };
+}
+
+// Apply one rule's matches to a run of segments that share a Whisper segment and speaker
+function applyRuleToRun(run, { text, spans }, matches, key, replace) {
+  const { output, edits, map } = replaceWithSpans(text, matches, replace);
+  if (edits.length === 0) return { segments: run, count: 0 };
+
+  // Each match touches a range of segments; overlapping ranges form one merged segment
+  const clusters = [];
+  for (const edit of edits) {
+    // A match of only the space between two words touches both of them
+    const after = spans.findIndex(span => span.end > edit.start);
+    const before = spans.findLastIndex(span => span.start < edit.end);
+    const first = Math.min(after, before);
+    const last = Math.max(after, before);
+    const previous = clusters[clusters.length - 1];
+
+    if (previous && first <= previous.last) {
+      previous.last = Math.max(previous.last, last);
+    } else {
+      clusters.push({ first, last });
+    }
+  }
+
+  const segments = [];
+  let next = 0;
+  for (const { first, last } of clusters) {
+    segments.push(...run.slice(next, first));
+
+    const merged = run.slice(first, last + 1);
+    const replaced = output.slice(map(spans[first].start), map(spans[last].end)).replace(/ {2,}/g, ' ').trim();
+    if (replaced) {
+      segments.push({
+        ...merged[0],
+        [key]: replaced,
+        start: merged[0].start,
+        end: Math.max(...merged.map(segment => segment.end)),
+        confidence: weightedConfidence(merged),
+        original: merged.map(segment => segment.original ?? String(segment[key]).trim()).join(' ')
+      });
+    }
+
+    next = last + 1;
+  }
+  segments.push(...run.slice(next));
+
+  return { segments, count: edits.length };
+}
+
+// Word-level segments sharing a Whisper segment and speaker form one run; segment-level
+// ones (text per segment) are each their own run
+function splitRuns(segments, key) {
+  const runs = [];
+  for (const segment of segments) {
+    const run = runs[runs.length - 1];
+    const joins = key === 'word' && run
+      && run[0].speaker === segment.speaker
+      && run[0].segment_id === segment.segment_id;
+
+    if (joins) {
+      run.push(segment);
+    } else {
+      runs.push([segment]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Apply replacement rules to a list of segments.
+ * @param {Object[]} segments - Word-level ({ word }) or segment-level ({ text }) segments
+ * @param {Object[]} rules - Normalized rules, see normalizeRuleSet()
+ * @returns {{ segments: Object[], count: number }} New segments and the number of replacements
+ * @throws {TranscriptionError} TIMEOUT when matching takes longer than LIMITS.ruleTimeMs
+ */
+function applyRules(segments, rules) {
+  const key = segments.some(segment => segment.word !== undefined) ? 'word' : 'text';
+  const deadline = Date.now() + LIMITS.ruleTimeMs;
+  let current = segments;
+  let count = 0;
+
+  rules.forEach((rule, index) => {
+    const runs = splitRuns(current, key);
+    const joined = runs.map(run => joinRun(run, key));
+    const matches = findMatches(joined.map(({ text }) => text), compileRule(rule), deadline, index);
+
+    current = runs.flatMap((run, i) => {
+      const applied = applyRuleToRun(run, joined[i], matches[i], key, rule.replace);
+      count += applied.count;
+      return applied.segments;
+    });
+  });
+
+  return { segments: current, count };
+}
+
+/**
+ * @param {string} [mode] - Requested disfluency mode
+ * @returns {string|undefined} The mode, or undefined when none was given
+ * @throws {TranscriptionError} INVALID_OPTION for anything but verbatim, clean or mark
+ */
+function validateDisfluencyMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return undefined;
+  if (!DISFLUENCY_MODES.includes(mode)) {
+    throw new TranscriptionError(
+      ERROR_CODES.INVALID_OPTION,
+      `disfluencies must be one of: ${DISFLUENCY_MODES.join(', ')}`
+    );
+  }
+  return mode;
+}
+
+// whisper-timestamped's detect_disfluencies inserts "[*]" where it hears one
+const isDisfluencyToken = (text) => /^\[.*\]$/.test(text.trim());
+
+// Lowercase letters and digits only, so "Eh," and "(eh)" both read as "eh"
+const normalizeWord = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+
+// Kind of disfluency for each text: 'token', 'filler', 'repetition' or null. Of a repeated
+// word only the last one counts as spoken ("jag jag eh jag tror": the first two are repeats).
+function classifyDisfluencies(texts, fillers) {
+  const kinds = texts.map(() => null);
+  let next = null;
+
+  for (let i = texts.length - 1; i >= 0; i--) {
+    if (isDisfluencyToken(texts[i])) {
+      kinds[i] = 'token';
+      continue;
+    }
+
+    const word = normalizeWord(texts[i]);
+    if (!word) continue;
+
+    if (fillers.has(word)) {
+      kinds[i] = 'filler';
+    } else {
+      if (word === next) kinds[i] = 'repetition';
+      next = word;
+    }
+  }
+
+  return kinds;
+}
+
+// "eh," -> "(eh),"; tokens are already markers
+function markText(text, kind) {
+  if (kind === 'token' || /^\(.*\)\W*$/.test(text)) return text;
+  const [, core, punctuation] = text.match(/^(.*?)([.,!?;:]*)$/);
+  return `(${core || text})${core ? punctuation : ''}`;
+}
+
+const isCapitalized = (text) => /^[^\p{L}\p{N}]*\p{Lu}/u.test(text);
+const capitalize = (text) => text.charAt(0).toLocaleUpperCase() + text.slice(1);
+
+// Drop or mark the flagged items of one run. A dropped capitalized word passes its capital
+// on to the next kept word ("Eh, vi ses" -> "Vi ses") and a dropped sentence end its
+// punctuation to the previous one ("vi ses liksom." -> "vi ses.")
+function resolveRun(items, kinds, mode, getText, setText, counts) {
+  const kept = [];
+  let capitalizeNext = false;
+
+  items.forEach((item, i) => {
+    const text = getText(item);
+
+    if (!kinds[i]) {
+      kept.push(capitalizeNext && !isCapitalized(text) ? setText(item, capitalize(text)) : item);
+      capitalizeNext = false;
+    } else if (mode === 'clean') {
+      counts.removed++;
+      capitalizeNext = capitalizeNext || isCapitalized(text);
+
+      const ending = text.match(/[.?!…]+$/)?.[0];
+      const previous = kept[kept.length - 1];
+      if (ending && previous !== undefined && !/[.,;:?!…]$/.test(getText(previous))) {
+        kept[kept.length - 1] = setText(previous, getText(previous) + ending);
+      }
+    } else {
+      counts.marked++;
+      kept.push(setText(item, markText(text, kinds[i]), kinds[i]));
+    }
+  });
+
+  return kept;
+}
+
+/**
+ * Drop or flag fillers, repeated words and disfluency tokens.
+ * @param {Object[]} segments - Word-level ({ word }) or segment-level ({ text }) segments
+ * @param {string} mode - verbatim, clean or mark
+ * @param {Object} [options]
+ * @param {string} [options.language] - Picks the filler list, see DEFAULT_FILLERS
+ * @returns {{ segments: Object[], removed: number, marked: number }}
+ */
+function applyDisfluencyMode(segments, mode, { language } = {}) {
+  if (!mode || mode === 'verbatim') {
+    return { segments, removed: 0, marked: 0 };
+  }
+
+  const fillers = new Set(DEFAULT_FILLERS[language] || COMMON_FILLERS);
+  const key = segments.some(segment => segment.word !== undefined) ? 'word' : 'text';
+  const counts = { removed: 0, marked: 0 };
+
+  // Word-level: every word keeps its own timing and is dropped or relabeled whole
+  if (key === 'word') {
+    const result = splitRuns(segments, key).flatMap(run => {
+      const texts = run.map(word => String(word.word).trim());
+      return resolveRun(
+        run,
+        classifyDisfluencies(texts, fillers),
+        mode,
+        word => String(word.word).trim(),
+        (word, text, kind) => ({ ...word, word: text, ...(kind ? { disfluency: kind } : {}) }),
+        counts
+      );
+    });
+
+    return { segments: result, ...counts };
+  }
+
+  // Segment-level: the segment keeps its timing; only the words inside its text change
+  const result = segments.flatMap(segment => {
+    const words = String(segment.text).trim().split(/\s+/).filter(Boolean);
+    const kinds = classifyDisfluencies(words, fillers);
+    if (!kinds.some(Boolean)) return [segment];
+
+    const text = resolveRun(words, kinds, mode, word => word, (word, replaced) => replaced, counts).join(' ');
+    return text ? [{ ...segment, text }] : [];
+  });
+
+  return { segments: result, ...counts };
+}
+
+/**
+ * Apply replacement rules to plain text (results without segments).
+ * @param {string} text
+ * @param {Object[]} rules - Normalized rules
+ * @returns {{ text: string, count: number }}
+ * @throws {TranscriptionError} TIMEOUT when matching takes longer than LIMITS.ruleTimeMs
+ */
+function applyRulesToText(text, rules) {
+  const deadline = Date.now() + LIMITS.ruleTimeMs;
+  let count = 0;
+  rules.forEach((rule, index) => {
+    const [matches] = findMatches([text], compileRule(rule), deadline, index);
+    const { output, edits } = replaceWithSpans(text, matches, rule.replace);
+    text = output;
+    count += edits.length;
+  });
+  // Deleted words leave double spaces behind
+  return { text: count > 0 ? text.replace(/ {2,}/g, ' ').trim() : text, count };
+}
+
+module.exports = {
+  LIMITS,
+  DISFLUENCY_MODES,
+  DEFAULT_FILLERS,
+  normalizeRuleSet,
+  buildInitialPrompt,
+  applyRules,
+  applyRulesToText,
+  validateDisfluencyMode,
+  applyDisfluencyMode
+};
@@ -1,6 +1,9 @@
+import { createTranscriptViewer, speakerColor } from '/ui/transcript-viewer-dom.js';
+
 // DOM Elements
 const recordBtn = document.getElementById('recordBtn');
 const stopBtn = document.getElementById('stopBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const statusIndicator = document.getElementById('statusIndicator');
 const statusText = document.getElementById('statusText');
 const timer = document.getElementById('timer');
@@ -8,7 +11,25 @@ const transcriptionArea = document.getElementById('transcriptionArea');
 const clearBtn = document.getElementById('clearBtn');
 const copyBtn = document.getElementById('copyBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadFormat = document.getElementById('downloadFormat');
 const languageSelect = document.getElementById('languageSelect');
+const ruleSetSelect = document.getElementById('ruleSetSelect');
+const disfluencySelect = document.getElementById('disfluencySelect');
+const historyList = document.getElementById('historyList');
+const refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchSpeaker = document.getElementById('searchSpeaker');
+const analyticsPanel = document.getElementById('analyticsPanel');
+const analyticsTitle = document.getElementById('analyticsTitle');
+const analyticsSummary = document.getElementById('analyticsSummary');
+const analyticsShares = document.getElementById('analyticsShares');
+const analyticsSpeakers = document.getElementById('analyticsSpeakers');
+const analyticsRate = document.getElementById('analyticsRate');
+const analyticsSilences = document.getElementById('analyticsSilences');
+const analyticsJsonLink = document.getElementById('analyticsJsonLink');
+const analyticsCsvLink = document.getElementById('analyticsCsvLink');
+const closeAnalyticsBtn = document.getElementById('closeAnalyticsBtn');
 
 // State variables
 let isRecording = false;
@@ -18,13 +39,68 @@ let startTime = null;
 let timerInterval = null;
 let socket = null;
 let currentTranscription = '';
+let recordings = []; // { result, timestamp, audioUrl, transcriptId, element, viewer } per recording, in order
+const pendingAudio = new Map(); // recordingId -> object URL of audio awaiting its transcript
+
+// What to tell the user for each server error code (see transcriptionErrors.js)
+const ERROR_MESSAGES = {
+    MISSING_HF_TOKEN: 'Speaker diarization is not configured: the server has no HuggingFace token (HF_TOKEN).',
+    MODEL_LOAD_FAILED: 'The transcription models could not be loaded on the server. Try again later.',
+    UNSUPPORTED_FORMAT: 'This audio could not be read. Record again or use webm, ogg, mp3, m4a, flac or wav.',
+    UNSUPPORTED_LANGUAGE: 'The selected language is not supported.',
+    AUDIO_TOO_LONG: 'The recording is too long to transcribe. Try a shorter one.',
+    AUDIO_TOO_LARGE: 'The recording is too large to upload. Try a shorter one.',
+    EMPTY_AUDIO: 'No audio was recorded. Check your microphone and try again.',
+    SILENT_AUDIO: 'The recording is silent. Check that your microphone is not muted.',
+    PROVIDER_UNAVAILABLE: 'No transcription service is available right now. Try again later.',
+    TIMEOUT: 'Transcription took too long and was stopped.',
+    UNAUTHORIZED: 'You are not signed in. Open this page with ?token=<your token>.',
+    RATE_LIMITED: 'Too many requests. Wait a minute and try again.',
+    UNKNOWN_RULE_SET: 'The selected vocabulary & replacements set no longer exists. Pick another one.',
+    INVALID_OPTION: 'The server did not accept one of the transcription settings.',
+    TRANSCRIPTION_FAILED: 'Failed to process audio for transcription.'
+};
+
+// API token (see auth.js on the server), kept in localStorage once the page has
+// been opened with ?token=<jwt>; null when the server runs without authentication
+const authToken = readAuthToken();
+
+function readAuthToken() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+
+    if (token) {
+        localStorage.setItem('authToken', token);
+        // Keep the token out of the address bar and history
+        params.delete('token');
+        const query = params.toString();
+        history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+    }
+
+    return localStorage.getItem('authToken');
+}
+
+// fetch() with the API token
+function apiFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (authToken) {
+        headers.Authorization = `Bearer ${authToken}`;
+    }
+    return fetch(url, { ...options, headers });
+}
+
+// URLs the browser loads itself, such as <audio src>, cannot send headers
+function withToken(url) {
+    if (!authToken) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(authToken)}`;
+}
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', initializeApp);
 
 function initializeApp() {
     // Connect to Socket.IO server
-    socket = io();
+    socket = io({ auth: { token: authToken } });
 
     // Set up event listeners
     setupEventListeners();
@@ -34,15 +110,38 @@ function initializeApp() {
 
     // Request microphone permission on load
     requestMicrophonePermission();
+
+    // Show transcripts saved by earlier sessions
+    loadHistory();
+
+    // Vocabulary and replacement rule sets to pick from
+    loadRuleSets();
 }
 
 function setupEventListeners() {
     recordBtn.addEventListener('click', startRecording);
     stopBtn.addEventListener('click', stopRecording);
+    cancelBtn.addEventListener('click', cancelTranscription);
     clearBtn.addEventListener('click', clearTranscription);
     copyBtn.addEventListener('click', copyTranscription);
     downloadBtn.addEventListener('click', downloadTranscription);
     languageSelect.addEventListener('change', handleLanguageChange);
+    ruleSetSelect.addEventListener('change', () => {
+        localStorage.setItem('ruleSet', ruleSetSelect.value);
+    });
+    disfluencySelect.value = localStorage.getItem('disfluencies') || 'verbatim';
+    disfluencySelect.addEventListener('change', () => {
+        localStorage.setItem('disfluencies', disfluencySelect.value);
+    });
+    refreshHistoryBtn.addEventListener('click', () => {
+        searchInput.value = '';
+        searchSpeaker.value = '';
+        loadHistory();
+    });
+    searchForm.addEventListener('submit', searchTranscripts);
+    closeAnalyticsBtn.addEventListener('click', () => {
+        analyticsPanel.hidden = true;
+    });
 }
 
 function setupSocketListeners() {
@@ -51,8 +150,19 @@ function setupSocketListeners() {
         updateStatus('ready', 'Connected to server');
     });
 
+    // The server refused the handshake, e.g. a missing or expired token
+    socket.on('connect_error', (error) => {
+        console.error('Connection refused:', error.message);
+        if (error.data?.code) {
+            updateStatus('disconnected', 'Not connected');
+            showError(ERROR_MESSAGES[error.data.code] || error.message);
+        }
+    });
+
     socket.on('disconnect', () => {
         console.log('Disconnected from server');
+        // The server cancels a disconnected client's transcriptions
+        [...pendingAudio.keys()].forEach(discardPendingAudio);
         updateStatus('disconnected', 'Disconnected from server');
     });
 
@@ -64,13 +174,21 @@ function setupSocketListeners() {
 
     socket.on('transcription-result', (data) => {
         console.log('Transcription result:', data);
-        displayTranscription(data.transcription, data.timestamp);
+        displayTranscription(data.transcription, data.timestamp, data.recordingId, data.transcriptId);
+        if (data.transcriptId && !searchInput.value.trim()) loadHistory();
     });
 
     socket.on('transcription-error', (data) => {
         console.error('Transcription error:', data);
-        updateStatus('error', 'Transcription failed');
-        showError('Transcription error: ' + data.error);
+        discardPendingAudio(data.recordingId);
+        updateStatus('error', data.code === 'TIMEOUT' ? 'Transcription timed out' : 'Transcription failed');
+        showError(ERROR_MESSAGES[data.code] || 'Transcription error: ' + data.error);
+    });
+
+    socket.on('transcription-cancelled', (data) => {
+        console.log('Transcription cancelled:', data);
+        discardPendingAudio(data.recordingId);
+        updateStatus('ready', 'Transcription cancelled');
     });
 }
 
@@ -154,13 +272,21 @@ function stopRecording() {
 
 function sendAudioForTranscription(audioBlob) {
     const reader = new FileReader();
+    const recordingId = `rec_${Date.now()}`;
+
+    // Keep the audio locally so the transcript can play it back
+    pendingAudio.set(recordingId, URL.createObjectURL(audioBlob));
+    cancelBtn.disabled = false;
 
     reader.onloadend = () => {
         const base64Audio = reader.result.split(',')[1];
 
         socket.emit('stop-recording', {
             audioBlob: base64Audio,
+            recordingId,
             language: languageSelect.value,
+            ruleSet: ruleSetSelect.value || undefined,
+            disfluencies: disfluencySelect.value,
             timestamp: new Date().toISOString()
         });
     };
@@ -168,21 +294,74 @@ function sendAudioForTranscription(audioBlob) {
     reader.readAsDataURL(audioBlob);
 }
 
-function displayTranscription(transcription, timestamp) {
+// Ask the server to stop every transcription still in flight
+function cancelTranscription() {
+    if (pendingAudio.size === 0) return;
+
+    socket.emit('cancel-transcription');
+    updateStatus('processing', 'Cancelling...');
+}
+
+function displayTranscription(transcription, timestamp, recordingId, transcriptId = null) {
     const transcriptionText = transcription.text || transcription;
 
     if (!currentTranscription) {
         currentTranscription = transcriptionText;
-        updateTranscriptionArea(transcriptionText);
     } else {
         currentTranscription += ' ' + transcriptionText;
-        updateTranscriptionArea(currentTranscription);
     }
 
-    updateStatus('ready', 'Transcription updated');
+    const recording = {
+        result: typeof transcription === 'object' ? transcription : { text: transcription },
+        timestamp,
+        audioUrl: pendingAudio.get(recordingId) || null,
+        transcriptId,
+        element: null,
+        viewer: null
+    };
+    pendingAudio.delete(recordingId);
+    cancelBtn.disabled = pendingAudio.size === 0;
+    recordings.push(recording);
+
+    updateTranscriptionArea(recording);
+
+    if (languageSelect.value === 'auto' && transcription.language) {
+        const probability = typeof transcription.languageProbability === 'number'
+            ? ` (${Math.round(transcription.languageProbability * 100)}%)`
+            : '';
+        updateStatus('ready', `Transcription updated · detected ${transcription.language}${probability}`);
+    } else {
+        updateStatus('ready', 'Transcription updated');
+    }
 }
 
-function updateTranscriptionArea(text) {
+function discardPendingAudio(recordingId) {
+    const audioUrl = pendingAudio.get(recordingId);
+    if (audioUrl) {
+        URL.revokeObjectURL(audioUrl);
+        pendingAudio.delete(recordingId);
+    }
+    cancelBtn.disabled = pendingAudio.size === 0;
+}
+
+// Words for the viewer: word-level segments, else segment-level text, else the whole text
+function getViewerWords(result) {
+    const segments = result.segments || [];
+
+    if (segments.length > 0) {
+        return segments.map(segment => ({
+            word: segment.word ?? segment.text,
+            start: segment.start,
+            end: segment.end,
+            speaker: segment.speaker,
+            confidence: segment.confidence
+        }));
+    }
+
+    return result.text ? [{ word: result.text, start: 0, end: result.duration || 0 }] : [];
+}
+
+function updateTranscriptionArea(recording) {
     const placeholder = transcriptionArea.querySelector('.placeholder');
     if (placeholder) {
         placeholder.remove();
@@ -197,15 +376,378 @@ function updateTranscriptionArea(text) {
         transcriptionArea.appendChild(content);
     }
 
-    content.textContent = text;
+    recording.element = document.createElement('div');
+    recording.element.className = 'recording-transcript';
+    content.appendChild(recording.element);
+    renderRecording(recording);
 
     // Enable control buttons
     copyBtn.disabled = false;
     downloadBtn.disabled = false;
 }
 
+function renderRecording(recording) {
+    recording.viewer?.destroy();
+    recording.viewer = createTranscriptViewer(recording.element, {
+        words: getViewerWords(recording.result),
+        audioSrc: recording.audioUrl,
+        speakerNames: recording.result.speakerNames || {},
+        onRenameSpeaker: (label, name) => renameSpeaker(recording, label, name)
+    });
+}
+
+// Speaker names are stored on the result, so downloads pick them up too,
+// and on the saved transcript so they survive a reload
+function renameSpeaker(recording, label, name) {
+    const speakerNames = { ...(recording.result.speakerNames || {}) };
+
+    if (name && name !== label) {
+        speakerNames[label] = name;
+    } else {
+        delete speakerNames[label];
+    }
+
+    recording.result = { ...recording.result, speakerNames };
+    renderRecording(recording);
+
+    if (recording.transcriptId) {
+        updateTranscript(recording.transcriptId, { speakerNames: { [label]: name } })
+            .catch(error => showError('Failed to save speaker name: ' + error.message));
+    }
+}
+
+async function updateTranscript(transcriptId, changes) {
+    const response = await apiFetch(`/api/transcripts/${transcriptId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Update failed (${response.status})`);
+    }
+
+    return response.json();
+}
+
+// Rule sets are managed through /api/rulesets; the last pick is remembered
+async function loadRuleSets() {
+    try {
+        const response = await apiFetch('/api/rulesets');
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        const { ruleSets } = await response.json();
+        ruleSetSelect.replaceChildren(new Option('None', ''), ...ruleSets.map(ruleSet =>
+            new Option(`${ruleSet.name} (${ruleSet.vocabulary.length} terms, ${ruleSet.rules.length} rules)`, ruleSet.id)
+        ));
+
+        const saved = localStorage.getItem('ruleSet');
+        if (saved && ruleSets.some(ruleSet => ruleSet.id === saved)) {
+            ruleSetSelect.value = saved;
+        }
+    } catch (error) {
+        console.error('Failed to load rule sets:', error);
+    }
+}
+
+async function loadHistory() {
+    try {
+        const response = await apiFetch('/api/transcripts?limit=20');
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        const { transcripts } = await response.json();
+        renderHistory(transcripts);
+    } catch (error) {
+        console.error('Failed to load history:', error);
+    }
+}
+
+// `hitsById` maps transcript id -> search hits to list under the transcript
+function renderHistory(transcripts, hitsById = null) {
+    historyList.replaceChildren();
+
+    if (transcripts.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = hitsById ? 'No matches' : 'No saved transcripts yet';
+        historyList.appendChild(empty);
+        return;
+    }
+
+    transcripts.forEach(transcript => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const info = document.createElement('div');
+        info.className = 'history-item-info';
+
+        const title = document.createElement('div');
+        title.className = 'history-item-title';
+        title.textContent = transcript.title;
+
+        const meta = document.createElement('div');
+        meta.className = 'history-item-meta';
+        const details = [
+            new Date(transcript.createdAt).toLocaleString(),
+            transcript.language,
+            transcript.duration ? `${Math.round(transcript.duration)}s` : null,
+            transcript.excerpt
+        ];
+        meta.textContent = details.filter(Boolean).join(' · ');
+
+        info.append(title, meta);
+
+        if (hitsById) {
+            info.appendChild(renderHits(transcript.id, hitsById[transcript.id] || []));
+        }
+
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => openTranscript(transcript.id));
+
+        const analyticsBtn = document.createElement('button');
+        analyticsBtn.textContent = 'Analytics';
+        analyticsBtn.addEventListener('click', () => showAnalytics(transcript));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteTranscript(transcript));
+
+        item.append(info, openBtn, analyticsBtn, deleteBtn);
+        historyList.appendChild(item);
+    });
+}
+
+async function searchTranscripts(event) {
+    event.preventDefault();
+
+    const query = searchInput.value.trim();
+    if (!query) {
+        loadHistory();
+        return;
+    }
+
+    const params = new URLSearchParams({ q: query });
+    if (searchSpeaker.value.trim()) {
+        params.set('speaker', searchSpeaker.value.trim());
+    }
+
+    try {
+        const response = await apiFetch(`/api/transcripts/search?${params}`);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Search failed (${response.status})`);
+        }
+
+        const { results } = await response.json();
+        const hitsById = Object.fromEntries(results.map(result => [result.transcript.id, result.hits]));
+        renderHistory(results.map(result => result.transcript), hitsById);
+    } catch (error) {
+        console.error('Search failed:', error);
+        showError('Search failed: ' + error.message);
+    }
+}
+
+// One line per hit: "[01:23] Anna: ... context ..."; clicking opens the transcript there
+function renderHits(transcriptId, hits) {
+    const list = document.createElement('ul');
+    list.className = 'history-hits';
+
+    hits.forEach(hit => {
+        const item = document.createElement('li');
+        item.className = 'history-hit';
+
+        const minutes = Math.floor(hit.start / 60);
+        const seconds = Math.floor(hit.start % 60);
+        const label = `[${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}] `
+            + (hit.speakerName ? `${hit.speakerName}: ` : '');
+
+        const index = hit.context.indexOf(hit.match);
+        const mark = document.createElement('mark');
+        mark.textContent = hit.match;
+        if (index === -1) {
+            item.append(label, mark);
+        } else {
+            item.append(label, hit.context.slice(0, index), mark, hit.context.slice(index + hit.match.length));
+        }
+
+        item.addEventListener('click', () => openTranscript(transcriptId, hit.start));
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+// Load a saved transcript into the transcription area alongside the current recordings,
+// optionally positioned at `startTime` seconds
+async function openTranscript(transcriptId, startTime = null) {
+    const open = recordings.find(recording => recording.transcriptId === transcriptId);
+    if (open) {
+        if (startTime !== null) open.viewer?.seek(startTime);
+        open.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/api/transcripts/${transcriptId}`);
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        const transcript = await response.json();
+        const recording = {
+            result: transcript,
+            timestamp: transcript.createdAt,
+            audioUrl: transcript.audio ? withToken(`/api/transcripts/${transcript.id}/audio`) : null,
+            transcriptId: transcript.id,
+            element: null,
+            viewer: null
+        };
+
+        currentTranscription = currentTranscription ? `${currentTranscription} ${transcript.text}` : transcript.text;
+        recordings.push(recording);
+        updateTranscriptionArea(recording);
+
+        if (startTime !== null) {
+            recording.viewer.seek(startTime);
+        }
+        recording.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } catch (error) {
+        console.error('Failed to open transcript:', error);
+        showError('Failed to open transcript: ' + error.message);
+    }
+}
+
+// Meeting analytics for a saved transcript (see meetingAnalytics.js on the server)
+async function showAnalytics(transcript) {
+    const url = `/api/transcripts/${transcript.id}/analytics`;
+
+    try {
+        const response = await apiFetch(url);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+
+        renderAnalytics(await response.json());
+        analyticsJsonLink.href = withToken(`${url}?download=1`);
+        analyticsCsvLink.href = withToken(`${url}?format=csv&table=speakers`);
+        analyticsPanel.hidden = false;
+        analyticsPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } catch (error) {
+        console.error('Failed to load analytics:', error);
+        showError('Failed to load analytics: ' + error.message);
+    }
+}
+
+// 83.4 -> "1:23"
+function formatDuration(seconds) {
+    const rounded = Math.round(seconds);
+    return `${Math.floor(rounded / 60)}:${(rounded % 60).toString().padStart(2, '0')}`;
+}
+
+function renderAnalytics(report) {
+    const speakers = report.speakers.map(speaker => speaker.speaker);
+    analyticsTitle.textContent = `Meeting analytics: ${report.title}`;
+
+    const monologue = report.longestMonologue;
+    analyticsSummary.textContent = [
+        `${formatDuration(report.duration)} total`,
+        `${formatDuration(report.speechTime)} speech`,
+        `${formatDuration(report.silenceTime)} silence`,
+        `${report.turnTaking.turnCount} turns (${report.turnTaking.speakerChanges} speaker changes)`,
+        // Overlaps need diarization turns; results without them report null
+        report.overlaps ? `${report.overlaps.count} overlaps (${report.overlaps.totalTime.toFixed(1)}s)` : null,
+        report.overlaps ? `${report.interruptions} interruptions` : null,
+        monologue ? `longest monologue: ${monologue.name}, ${formatDuration(monologue.duration)} at ${formatDuration(monologue.start)}` : null
+    ].filter(Boolean).join(' · ');
+
+    // Talk-time share as one stacked bar
+    analyticsShares.replaceChildren(...report.speakers.map(speaker => {
+        const share = document.createElement('div');
+        share.className = 'analytics-share';
+        share.style.width = `${speaker.share * 100}%`;
+        share.style.background = speakerColor(speaker.speaker, speakers);
+        share.title = `${speaker.name}: ${Math.round(speaker.share * 100)}%`;
+        return share;
+    }));
+
+    analyticsSpeakers.replaceChildren(...report.speakers.map(speaker => {
+        const row = document.createElement('tr');
+        const cells = [
+            speaker.name,
+            `${formatDuration(speaker.talkTime)} (${Math.round(speaker.share * 100)}%)`,
+            speaker.turnCount,
+            formatDuration(speaker.longestTurn),
+            speaker.wordsPerMinute ?? '–',
+            speaker.overlapTime === null ? '–' : `${speaker.overlapTime.toFixed(1)}s`,
+            speaker.interruptions ?? '–',
+            speaker.interrupted ?? '–'
+        ];
+        row.append(...cells.map(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            return cell;
+        }));
+        row.firstChild.style.color = speakerColor(speaker.speaker, speakers);
+        return row;
+    }));
+
+    // Words per minute per window, stacked by speaker
+    const maxRate = Math.max(1, ...report.speakingRate.map(window => window.wordsPerMinute));
+    analyticsRate.replaceChildren(...report.speakingRate.map(window => {
+        const bar = document.createElement('div');
+        bar.className = 'analytics-rate-bar';
+        bar.style.height = `${window.wordsPerMinute / maxRate * 100}%`;
+        bar.title = `${formatDuration(window.start)}–${formatDuration(window.end)}: ${window.wordsPerMinute} words/min`;
+
+        Object.entries(window.bySpeaker).forEach(([speaker, rate]) => {
+            const part = document.createElement('div');
+            part.style.height = `${rate / window.wordsPerMinute * 100}%`;
+            part.style.background = speakerColor(speaker, speakers);
+            bar.appendChild(part);
+        });
+        return bar;
+    }));
+
+    analyticsSilences.replaceChildren(...(report.silences.length ? report.silences : [null]).map(gap => {
+        const item = document.createElement('li');
+        item.textContent = gap
+            ? `${formatDuration(gap.start)}–${formatDuration(gap.end)} (${gap.duration.toFixed(1)}s)`
+            : 'No silences';
+        return item;
+    }));
+}
+
+async function deleteTranscript(transcript) {
+    if (!confirm(`Delete "${transcript.title}"? This also deletes its audio.`)) return;
+
+    try {
+        const response = await apiFetch(`/api/transcripts/${transcript.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        showNotification('Transcript deleted', 'success');
+        loadHistory();
+    } catch (error) {
+        console.error('Failed to delete transcript:', error);
+        showError('Failed to delete transcript: ' + error.message);
+    }
+}
+
 function clearTranscription() {
     currentTranscription = '';
+    recordings.forEach(({ viewer, audioUrl }) => {
+        viewer?.destroy();
+        if (audioUrl?.startsWith('blob:')) URL.revokeObjectURL(audioUrl);
+    });
+    recordings = [];
     transcriptionArea.classList.remove('has-content');
     transcriptionArea.innerHTML = `
         <div class="placeholder">
@@ -228,20 +770,82 @@ function copyTranscription() {
     });
 }
 
-function downloadTranscription() {
+// Join all recordings into one result, shifting each recording's timings
+// so they follow on from the previous one
+function mergeRecordings() {
+    let offset = 0;
+    const segments = [];
+
+    recordings.forEach(({ result }) => {
+        const resultSegments = result.segments || [];
+        const speakerNames = result.speakerNames || {};
+        const duration = result.duration
+            || (resultSegments.length ? resultSegments[resultSegments.length - 1].end : 0);
+
+        if (resultSegments.length > 0) {
+            // Labels like SPEAKER_00 are per recording, so apply this recording's names now
+            resultSegments.forEach(segment => {
+                segments.push({
+                    ...segment,
+                    speaker: speakerNames[segment.speaker] || segment.speaker,
+                    start: segment.start + offset,
+                    end: segment.end + offset
+                });
+            });
+        } else if (result.text) {
+            // No timings from this backend: keep the text as one segment
+            segments.push({ start: offset, end: offset + duration, text: result.text });
+        }
+
+        offset += duration;
+    });
+
+    const first = recordings[0]?.result || {};
+    return {
+        text: recordings.map(({ result }) => result.text).join(' '),
+        language: first.language,
+        pipeline: first.pipeline,
+        confidence: first.confidence,
+        duration: offset,
+        segments
+    };
+}
+
+async function downloadTranscription() {
     if (!currentTranscription) return;
 
-    const blob = new Blob([currentTranscription], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `transcription_${new Date().toISOString().split('T')[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    showNotification('Transcription downloaded!', 'success');
+    const format = downloadFormat.value;
+
+    try {
+        const response = await apiFetch('/api/export', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                result: recordings.length > 0 ? mergeRecordings() : { text: currentTranscription },
+                format
+            })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Export failed (${response.status})`);
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `transcription_${new Date().toISOString().split('T')[0]}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showNotification('Transcription downloaded!', 'success');
+    } catch (error) {
+        console.error('Download failed:', error);
+        showError('Failed to download transcription: ' + error.message);
+    }
 }
 
 function updateRecordingUI(recording) {
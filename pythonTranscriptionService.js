@@ -1,44 +1,125 @@
 const { spawn } = require('child_process');
-const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const PythonWorkerPool = require('./pythonWorkerPool');
+const { runBatch } = require('./batchRunner');
+const { createAbortError, throwIfAborted } = require('./abortUtils');
+const { scoreTranscription } = require('./confidenceScorer');
+const { reconstructText } = require('./textReconstruction');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+const tempFiles = require('./tempFileManager');
+
+// The pipeline was built for Swedish; other languages (or 'auto') must be asked for
+const DEFAULT_LANGUAGE = 'sv';
 
 class PythonTranscriptionService {
     constructor() {
         this.pythonScript = path.join(__dirname, 'transcription_pipeline.py');
-        this.tempDir = path.join(__dirname, 'temp_audio_transa');
-
-        // Ensure temp directory exists
-        if (!fs.existsSync(this.tempDir)) {
-            fs.mkdirSync(this.tempDir, { recursive: true });
-        }
 
         this.hfToken = process.env.HF_TOKEN;
+
+        // Persistent workers keep models loaded between requests; PYTHON_WORKER_POOL_SIZE=0 spawns per request
+        const poolSize = parseInt(process.env.PYTHON_WORKER_POOL_SIZE ?? '1', 10);
+        this.pool = poolSize > 0 ? new PythonWorkerPool({
+            pythonScript: this.pythonScript,
+            cwd: __dirname,
+            env: { ...process.env, HF_TOKEN: this.hfToken },
+            args: this.hfToken ? ['--hf-token', this.hfToken] : [],
+            size: poolSize,
+            pingInterval: parseInt(process.env.PYTHON_WORKER_PING_INTERVAL, 10) || undefined
+        }) : null;
     }
 
     /**
      * Transcribe audio using the Python pipeline
      * @param {Buffer} audioBuffer - Audio data buffer
      * @param {Object} options - Transcription options
+     * @param {string} [options.prompt] - Whisper initial prompt, e.g. from a rule set's vocabulary
+     * @param {string} [options.outputFormat] - 'markdown' returns the pipeline's Markdown as `text`
+     *   (without segments) on both the pool and the one-off process path
+     * @param {boolean} [options.diarize] - false skips speaker diarization; every word is then "Unknown"
+     * @param {AbortSignal} [options.signal] - Aborting kills the Python process and deletes the temp file
      * @returns {Promise<Object>} Transcription result
+     * @throws {TranscriptionError} With the pipeline's error code (MISSING_HF_TOKEN, MODEL_LOAD_FAILED, ...)
      */
     async transcribeAudio(audioBuffer, options = {}) {
+        throwIfAborted(options.signal);
+
+        if (this.pool) {
+            return this.transcribeWithPool(audioBuffer, options);
+        }
+
+        return this.transcribeWithProcess(audioBuffer, options);
+    }
+
+    /**
+     * Transcribe audio on a persistent worker from the pool
+     * @param {Buffer} audioBuffer - Audio data buffer
+     * @param {Object} options - Transcription options
+     * @returns {Promise<Object>} Transcription result
+     */
+    async transcribeWithPool(audioBuffer, options = {}) {
+        const tempFilePath = await this.saveAudioBuffer(audioBuffer);
+        const language = options.language || DEFAULT_LANGUAGE;
+
+        try {
+            const result = await this.pool.transcribe(tempFilePath, {
+                language,
+                prompt: options.prompt,
+                outputFormat: options.outputFormat,
+                diarize: options.diarize,
+                signal: options.signal
+            });
+
+            // Markdown output arrives as text, like the one-off process's --output markdown
+            if (typeof result !== 'string' && !result.success) {
+                throw this.toPipelineError(result);
+            }
+
+            return this.formatResult(result, language);
+        } finally {
+            await this.cleanupTempFile(tempFilePath);
+        }
+    }
+
+    /**
+     * Transcribe audio by spawning a one-off Python process
+     * @param {Buffer} audioBuffer - Audio data buffer
+     * @param {Object} options - Transcription options
+     * @returns {Promise<Object>} Transcription result
+     */
+    async transcribeWithProcess(audioBuffer, options = {}) {
         return new Promise(async (resolve, reject) => {
             try {
                 // Save audio buffer to temporary file
                 const tempFilePath = await this.saveAudioBuffer(audioBuffer);
 
+                // Cancelled while the file was being written: nothing to spawn
+                if (options.signal?.aborted) {
+                    await this.cleanupTempFile(tempFilePath);
+                    throwIfAborted(options.signal);
+                }
+
                 // Prepare Python script arguments
-                const args = [this.pythonScript, tempFilePath];
+                const language = options.language || DEFAULT_LANGUAGE;
+                const args = [this.pythonScript, tempFilePath, '--language', language];
 
                 if (this.hfToken) {
                     args.push('--hf-token', this.hfToken);
                 }
 
+                if (options.prompt) {
+                    args.push('--initial-prompt', options.prompt);
+                }
+
                 if (options.outputFormat) {
                     args.push('--output', options.outputFormat);
                 }
 
+                if (options.diarize === false) {
+                    args.push('--no-diarization');
+                }
+
                 // Spawn Python process
                 const pythonProcess = spawn('python3', args, {
                     cwd: __dirname,
@@ -48,6 +129,14 @@ class PythonTranscriptionService {
                 let stdout = '';
                 let stderr = '';
 
+                // Cancellation: kill the process; the close handler below removes the temp file
+                const { signal } = options;
+                const onAbort = () => {
+                    pythonProcess.kill('SIGKILL');
+                    reject(createAbortError(signal));
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+
                 // Collect stdout data
                 pythonProcess.stdout.on('data', (data) => {
                     stdout += data.toString();
@@ -60,41 +149,36 @@ class PythonTranscriptionService {
 
                 // Handle process completion
                 pythonProcess.on('close', async (code) => {
+                    signal?.removeEventListener('abort', onAbort);
+
                     try {
                         // Clean up temporary file
                         await this.cleanupTempFile(tempFilePath);
 
+                        // Normally already rejected by onAbort; rejecting again is a no-op
+                        if (signal?.aborted) {
+                            reject(createAbortError(signal));
+                            return;
+                        }
+
                         if (code !== 0) {
                             console.error('Python script error:', stderr);
-                            reject(new Error(`Python script failed with code ${code}: ${stderr}`));
+                            // A failed run still prints { success: false, code, error } when it got that far
+                            const output = this.parseFailureOutput(stdout);
+                            reject(output
+                                ? this.toPipelineError(output)
+                                : new TranscriptionError(
+                                    ERROR_CODES.TRANSCRIPTION_FAILED,
+                                    `Python script failed with code ${code}: ${stderr}`,
+                                    { provider: 'python' }
+                                ));
                             return;
                         }
 
                         // Parse the output
                         const result = this.parsePythonOutput(stdout, options.outputFormat);
 
-                        if (options.outputFormat === 'markdown') {
-                            resolve({
-                                text: result,
-                                language: 'sv',
-                                confidence: 0.9, // High confidence for this pipeline
-                                speakers: [], // Could extract from markdown if needed
-                                segments: [],
-                                pipeline: 'python-local'
-                            });
-                        } else {
-                            resolve({
-                                text: result.markdown || result.segments?.map(w => w.word).join(' ') || '',
-                                language: 'sv',
-                                confidence: 0.9,
-                                speakers: result.speakers || [],
-                                segments: result.segments || [],
-                                duration: result.duration || 0,
-                                totalWords: result.total_words || 0,
-                                pipeline: 'python-local',
-                                raw: result
-                            });
-                        }
+                        resolve(this.formatResult(result, language));
                     } catch (error) {
                         reject(error);
                     }
@@ -102,8 +186,13 @@ class PythonTranscriptionService {
 
                 // Handle process errors
                 pythonProcess.on('error', async (error) => {
+                    signal?.removeEventListener('abort', onAbort);
                     await this.cleanupTempFile(tempFilePath);
-                    reject(new Error(`Failed to start Python process: ${error.message}`));
+                    reject(new TranscriptionError(
+                        ERROR_CODES.PROVIDER_UNAVAILABLE,
+                        `Failed to start Python process: ${error.message}`,
+                        { cause: error, provider: 'python' }
+                    ));
                 });
 
             } catch (error) {
@@ -113,23 +202,51 @@ class PythonTranscriptionService {
     }
 
     /**
-     * Save audio buffer to temporary file
+     * Shape pipeline output into a transcription result
+     * @param {Object|string} result - Parsed pipeline output, or Markdown text
+     * @param {string} [requestedLanguage] - Language passed to the pipeline, or 'auto'
+     * @returns {Object} Transcription result
+     */
+    formatResult(result, requestedLanguage = DEFAULT_LANGUAGE) {
+        const fallbackLanguage = requestedLanguage === 'auto' ? null : requestedLanguage;
+
+        if (typeof result === 'string') {
+            return {
+                text: result,
+                language: fallbackLanguage, // Markdown output does not report the detected language
+                languageProbability: null,
+                confidence: null, // Markdown output carries no word confidence
+                speakers: [], // Could extract from markdown if needed
+                segments: [],
+                pipeline: 'python-local'
+            };
+        }
+
+        const segments = result.segments || [];
+
+        return {
+            // Whisper's sentences regrouped into speaker paragraphs; raw.markdown keeps the pipeline's layout
+            text: reconstructText(segments),
+            language: result.language || fallbackLanguage,
+            languageProbability: result.language_probability ?? null,
+            ...scoreTranscription(segments),
+            speakers: result.speakers || [],
+            segments,
+            diarization: result.diarization || [], // overlapping speaker turns, for meeting analytics
+            duration: result.duration || 0,
+            totalWords: result.total_words || 0,
+            pipeline: 'python-local',
+            raw: result
+        };
+    }
+
+    /**
+     * Save audio buffer to a file in the shared temp directory
      * @param {Buffer} audioBuffer - Audio data buffer
      * @returns {Promise<string>} Path to temporary file
      */
     async saveAudioBuffer(audioBuffer) {
-        return new Promise((resolve, reject) => {
-            const tempFileName = `audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.wav`;
-            const tempFilePath = path.join(this.tempDir, tempFileName);
-
-            fs.writeFile(tempFilePath, audioBuffer, (error) => {
-                if (error) {
-                    reject(new Error(`Failed to save audio buffer: ${error.message}`));
-                } else {
-                    resolve(tempFilePath);
-                }
-            });
-        });
+        return tempFiles.create(audioBuffer, { prefix: 'python', extension: 'wav' });
     }
 
     /**
@@ -138,18 +255,7 @@ class PythonTranscriptionService {
      * @returns {Promise<void>}
      */
     async cleanupTempFile(filePath) {
-        return new Promise((resolve) => {
-            if (fs.existsSync(filePath)) {
-                fs.unlink(filePath, (error) => {
-                    if (error) {
-                        console.warn(`Failed to cleanup temp file ${filePath}:`, error.message);
-                    }
-                    resolve();
-                });
-            } else {
-                resolve();
-            }
-        });
+        await tempFiles.remove(filePath);
     }
 
     /**
@@ -157,26 +263,66 @@ class PythonTranscriptionService {
      * @param {string} output - Raw output from Python script
      * @param {string} outputFormat - Expected output format
      * @returns {Object|string} Parsed result
+     * @throws {TranscriptionError} If the output is unreadable or reports { success: false }
      */
     parsePythonOutput(output, outputFormat = 'json') {
+        let result;
         try {
             if (outputFormat === 'markdown') {
                 return output.trim();
-            } else {
-                return JSON.parse(output);
             }
+            result = JSON.parse(output);
         } catch (error) {
             console.error('Failed to parse Python output:', error);
             console.error('Raw output:', output);
-            throw new Error(`Invalid output from Python script: ${error.message}`);
+            throw new TranscriptionError(
+                ERROR_CODES.TRANSCRIPTION_FAILED,
+                `Invalid output from Python script: ${error.message}`,
+                { cause: error, provider: 'python' }
+            );
+        }
+
+        if (result.success === false) {
+            throw this.toPipelineError(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} output - stdout of a run that exited non-zero
+     * @returns {Object|null} The { success: false, code, error } report, if it printed one
+     */
+    parseFailureOutput(output) {
+        try {
+            const result = JSON.parse(output);
+            return result && result.success === false ? result : null;
+        } catch (error) {
+            return null;
         }
     }
 
+    /**
+     * @param {Object} output - Failed pipeline output: { success: false, code, error }
+     * @returns {TranscriptionError} Error carrying the pipeline's code
+     */
+    toPipelineError(output) {
+        return new TranscriptionError(
+            output.code || ERROR_CODES.TRANSCRIPTION_FAILED,
+            `Python pipeline failed: ${output.error}`,
+            { provider: 'python' }
+        );
+    }
+
     /**
      * Check if Python and required modules are available
      * @returns {Promise<boolean>} True if available
      */
     async isAvailable() {
+        if (this.pool?.hasReadyWorker()) {
+            return true;
+        }
+
         return new Promise((resolve) => {
             const pythonProcess = spawn('python3', ['-c', 'import whisper_timestamped, pyannote.audio; print("OK")']);
 
@@ -206,37 +352,44 @@ class PythonTranscriptionService {
         return {
             available,
             pythonScript: this.pythonScript,
-            tempDir: this.tempDir,
+            tempDir: tempFiles.dir,
             hfTokenConfigured: !!this.hfToken,
+            workerPool: this.pool ? this.pool.getStatus() : null,
             service: 'python-local-transcription'
         };
     }
 
+    /**
+     * Stop the persistent workers, if any
+     */
+    shutdown() {
+        if (this.pool) {
+            this.pool.stop();
+        }
+    }
+
     /**
      * Batch transcription for multiple audio files
      * @param {Buffer[]} audioBuffers - Array of audio buffers
-     * @param {Object} options - Transcription options
-     * @returns {Promise<Object[]>} Array of transcription results
+     * @param {Object} options - Transcription options, plus:
+     * @param {number} [options.concurrency] - Parallel items (default: worker pool size, or 1 without a pool)
+     * @param {AbortSignal} [options.signal] - Aborting skips items that have not started
+     * @param {Function} [options.onProgress] - Per-item progress callback, see runBatch()
+     * @returns {Promise<Object[]>} One { index, status, success, result | error } per buffer, in input order
      */
     async transcribeBatch(audioBuffers, options = {}) {
-        const results = [];
-
-        for (const audioBuffer of audioBuffers) {
-            try {
-                const result = await this.transcribeAudio(audioBuffer, options);
-                results.push({
-                    success: true,
-                    result
-                });
-            } catch (error) {
-                results.push({
-                    success: false,
-                    error: error.message
-                });
+        const { concurrency, signal, onProgress, ...transcriptionOptions } = options;
+
+        return runBatch(
+            audioBuffers,
+            audioBuffer => this.transcribeAudio(audioBuffer, { ...transcriptionOptions, signal }),
+            {
+                // More parallel requests than workers would only queue inside the pool
+                concurrency: concurrency || this.pool?.size || 1,
+                signal,
+                onProgress
             }
-        }
-
-        return results;
+        );
     }
 }
 
@@ -0,0 +1,459 @@
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const readline = require('readline');
+const { createAbortError } = require('./abortUtils');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const DEFAULT_POOL_SIZE = 1;
+const DEFAULT_PING_INTERVAL = 30000;
+const DEFAULT_PING_TIMEOUT = 10000;
+const DEFAULT_MAX_STARTUP_FAILURES = 3;
+const DEFAULT_RESTART_DELAY = 1000;
+
+/**
+ * Pool of long-lived `transcription_pipeline.py --worker` processes.
+ *
+ * Each worker loads its models once and then serves one request at a time over
+ * line-delimited JSON on stdin/stdout. Requests are queued while every worker
+ * is busy, idle workers are pinged periodically, and workers that crash or stop
+ * answering pings are restarted.
+ */
+class PythonWorkerPool extends EventEmitter {
+    /**
+     * @param {Object} options - Pool options
+     * @param {string} options.pythonScript - Path to transcription_pipeline.py
+     * @param {string} [options.command] - Interpreter to run it with (default: python3)
+     * @param {string} [options.cwd] - Working directory for the workers
+     * @param {Object} [options.env] - Environment for the workers
+     * @param {string[]} [options.args] - Extra arguments passed to the script
+     * @param {number} [options.size] - Number of worker processes
+     * @param {number} [options.pingInterval] - Milliseconds between health pings
+     * @param {number} [options.pingTimeout] - Milliseconds to wait for a pong
+     * @param {number} [options.maxStartupFailures] - Consecutive failed starts before giving up
+     * @param {number} [options.restartDelay] - Milliseconds to wait before restarting a worker
+     */
+    constructor(options = {}) {
+        super();
+
+        this.pythonScript = options.pythonScript;
+        this.command = options.command || 'python3';
+        this.cwd = options.cwd;
+        this.env = options.env || process.env;
+        this.args = options.args || [];
+        this.size = options.size || DEFAULT_POOL_SIZE;
+        this.pingInterval = options.pingInterval || DEFAULT_PING_INTERVAL;
+        this.pingTimeout = options.pingTimeout || DEFAULT_PING_TIMEOUT;
+        this.maxStartupFailures = options.maxStartupFailures || DEFAULT_MAX_STARTUP_FAILURES;
+        this.restartDelay = options.restartDelay || DEFAULT_RESTART_DELAY;
+
+        this.workers = [];
+        this.queue = [];
+        this.nextRequestId = 1;
+        this.startupFailures = 0;
+        this.restarts = 0;
+        this.lastError = null;
+        this.lastErrorCode = null;
+        this.started = false;
+        this.pingTimer = null;
+    }
+
+    /**
+     * Spawn the workers if the pool is not running yet
+     */
+    start() {
+        if (this.started) return;
+
+        this.started = true;
+        this.startupFailures = 0;
+        this.lastError = null;
+        this.lastErrorCode = null;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawnWorker());
+        }
+
+        this.pingTimer = setInterval(() => this.pingIdleWorkers(), this.pingInterval);
+        this.pingTimer.unref();
+    }
+
+    /**
+     * Spawn a single worker process and wire up its protocol stream
+     * @returns {Object} Worker record
+     */
+    spawnWorker() {
+        const proc = spawn(this.command, [this.pythonScript, '--worker', ...this.args], {
+            cwd: this.cwd,
+            env: this.env
+        });
+
+        const worker = {
+            proc,
+            ready: false,
+            stopping: false, // killed, waiting for 'exit'
+            current: null,
+            pendingPing: null,
+            stderr: ''
+        };
+
+        readline.createInterface({ input: proc.stdout }).on('line', (line) => {
+            this.handleMessage(worker, line);
+        });
+
+        proc.stderr.on('data', (data) => {
+            // Keep only the tail; model loading is chatty
+            worker.stderr = (worker.stderr + data.toString()).slice(-4000);
+        });
+
+        proc.on('exit', (code, signal) => this.handleExit(worker, code, signal));
+
+        proc.on('error', (error) => this.handleSpawnError(worker, error));
+
+        // Writes racing a crash fail with EPIPE; the exit handler deals with the worker
+        proc.stdin.on('error', () => {});
+
+        return worker;
+    }
+
+    /**
+     * A worker process that could not be started at all (e.g. python3 is not installed).
+     * No 'exit' follows and every respawn would fail the same way, so the pool stops and
+     * fails its requests with PROVIDER_UNAVAILABLE, letting callers fall back to another provider.
+     * @param {Object} worker - Worker record
+     * @param {Error} error - The spawn error
+     */
+    handleSpawnError(worker, error) {
+        // Errors from a process that did start (e.g. a failed kill) are followed by 'exit'
+        if (worker.proc.pid !== undefined) {
+            this.lastError = `Python worker error: ${error.message}`;
+            return;
+        }
+
+        this.lastError = `Failed to start Python worker: ${error.message}`;
+        this.lastErrorCode = ERROR_CODES.PROVIDER_UNAVAILABLE;
+
+        const failure = new TranscriptionError(ERROR_CODES.PROVIDER_UNAVAILABLE, this.lastError, { cause: error, provider: 'python' });
+        if (worker.current) {
+            worker.current.reject(failure);
+            worker.current = null;
+        }
+
+        if (this.workers.includes(worker)) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Handle one protocol line from a worker
+     * @param {Object} worker - Worker record
+     * @param {string} line - Raw JSON line
+     */
+    handleMessage(worker, line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            console.warn('Ignoring non-protocol output from Python worker:', line);
+            return;
+        }
+
+        switch (message.type) {
+            case 'ready':
+                worker.ready = true;
+                this.startupFailures = 0;
+                this.emit('workerReady', { pid: worker.proc.pid, device: message.device });
+                this.dispatch();
+                break;
+
+            case 'fatal':
+                // Startup failures carry a code, e.g. MISSING_HF_TOKEN or MODEL_LOAD_FAILED
+                this.lastError = message.error;
+                this.lastErrorCode = message.code || ERROR_CODES.MODEL_LOAD_FAILED;
+                break;
+
+            case 'pong':
+                if (worker.pendingPing && worker.pendingPing.id === message.id) {
+                    clearTimeout(worker.pendingPing.timer);
+                    worker.pendingPing = null;
+                    this.dispatch();
+                }
+                break;
+
+            case 'result':
+            case 'error':
+                if (worker.current && worker.current.id === message.id) {
+                    const job = worker.current;
+                    worker.current = null;
+
+                    if (message.type === 'error') {
+                        job.reject(new TranscriptionError(message.code, message.error, { provider: 'python' }));
+                    } else {
+                        job.resolve(message.result);
+                    }
+                    this.dispatch();
+                }
+                break;
+
+            default:
+                console.warn('Unknown message from Python worker:', message.type);
+        }
+    }
+
+    /**
+     * Fail the in-flight request of a dead worker, drop it from the pool and schedule
+     * a replacement. Queued requests wait for the replacement (or are rejected if the
+     * pool gives up), so nothing is ever written to the dead process.
+     * @param {Object} worker - Worker record
+     * @param {number|null} code - Exit code
+     * @param {string|null} signal - Termination signal
+     */
+    handleExit(worker, code, signal) {
+        const reason = worker.stderr.trim().split('\n').pop() || `exit code ${code}, signal ${signal}`;
+        const wasReady = worker.ready;
+        worker.ready = false;
+
+        if (worker.pendingPing) {
+            clearTimeout(worker.pendingPing.timer);
+            worker.pendingPing = null;
+        }
+
+        if (worker.current) {
+            worker.current.reject(new TranscriptionError(
+                ERROR_CODES.TRANSCRIPTION_FAILED,
+                `Python worker exited during transcription: ${reason}`,
+                { provider: 'python' }
+            ));
+            worker.current = null;
+        }
+
+        const index = this.workers.indexOf(worker);
+        if (index === -1 || !this.started) return;
+        this.workers.splice(index, 1);
+
+        if (!wasReady && !worker.stopping) {
+            this.startupFailures++;
+            this.lastError = this.lastError || `Python worker failed to start: ${reason}`;
+        }
+
+        if (this.startupFailures >= this.maxStartupFailures) {
+            // The environment is broken; stop retrying until the next start()
+            if (this.workers.length === 0) {
+                this.stop();
+            }
+            return;
+        }
+
+        this.restarts++;
+        this.emit('workerRestart', { pid: worker.proc.pid, reason });
+
+        setTimeout(() => {
+            if (!this.started || this.workers.length >= this.size) return;
+            this.workers.push(this.spawnWorker());
+        }, this.restartDelay).unref();
+    }
+
+    /**
+     * Kill a worker and stop dispatching to it; handleExit() replaces it
+     * @param {Object} worker - Worker record
+     */
+    killWorker(worker) {
+        worker.stopping = true;
+        worker.proc.kill('SIGKILL');
+    }
+
+    /**
+     * Queue an audio file for transcription
+     * @param {string} audioFile - Path to a file the worker can read
+     * @param {Object} [options]
+     * @param {string} [options.language] - Language code or 'auto'
+     * @param {string} [options.prompt] - Whisper initial prompt
+     * @param {string} [options.outputFormat] - 'json' (default) or 'markdown', as the script's --output
+     * @param {boolean} [options.diarize] - false skips diarization, as the script's --no-diarization
+     * @param {AbortSignal} [options.signal] - Aborting drops a queued request, or kills the
+     *   worker running it (the pool then starts a fresh one)
+     * @returns {Promise<Object|string>} Pipeline output (the worker's `result`): an object,
+     *   or the Markdown text for a successful 'markdown' request
+     */
+    transcribe(audioFile, { language, prompt, outputFormat, diarize, signal } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError(signal));
+        }
+
+        this.start();
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: String(this.nextRequestId++),
+                audioFile,
+                language,
+                prompt,
+                outputFormat,
+                diarize
+            };
+
+            const onAbort = () => this.cancel(job, createAbortError(signal));
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            job.resolve = (result) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(result);
+            };
+            job.reject = (error) => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            };
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Abandon a request. A worker cannot be interrupted mid-transcription,
+     * so one that is running the request is killed and replaced.
+     * @param {Object} job - Queued or in-flight request
+     * @param {Error} error - Error to reject the request with
+     */
+    cancel(job, error) {
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.reject(error);
+            return;
+        }
+
+        const worker = this.workers.find(candidate => candidate.current === job);
+        if (worker) {
+            worker.current = null;
+            job.reject(error);
+            this.killWorker(worker);
+        }
+    }
+
+    /**
+     * Hand queued requests to idle workers
+     */
+    dispatch() {
+        if (!this.started) {
+            this.rejectQueued(this.createUnavailableError('Python worker pool is not running'));
+            return;
+        }
+
+        for (const worker of this.workers) {
+            if (this.queue.length === 0) return;
+            if (!this.isIdle(worker)) continue;
+
+            const job = this.queue.shift();
+            worker.current = job;
+            worker.proc.stdin.write(JSON.stringify({
+                id: job.id,
+                type: 'transcribe',
+                audio_file: job.audioFile,
+                language: job.language,
+                initial_prompt: job.prompt || null,
+                output_format: job.outputFormat || 'json',
+                diarize: job.diarize !== false
+            }) + '\n');
+        }
+    }
+
+    /**
+     * @param {Object} worker - Worker record
+     * @returns {boolean} True if the worker can take a request
+     */
+    isIdle(worker) {
+        return worker.ready && !worker.stopping && !worker.current && !worker.pendingPing;
+    }
+
+    /**
+     * Ping every idle worker; kill any that does not answer in time
+     */
+    pingIdleWorkers() {
+        for (const worker of this.workers) {
+            if (!this.isIdle(worker)) continue;
+
+            const id = `ping-${this.nextRequestId++}`;
+            worker.pendingPing = {
+                id,
+                timer: setTimeout(() => {
+                    console.warn(`Python worker ${worker.proc.pid} missed health ping, restarting`);
+                    this.killWorker(worker);
+                }, this.pingTimeout)
+            };
+            worker.proc.stdin.write(JSON.stringify({ id, type: 'ping' }) + '\n');
+        }
+    }
+
+    /**
+     * @param {Error} error - Error to reject every queued request with
+     */
+    rejectQueued(error) {
+        while (this.queue.length > 0) {
+            this.queue.shift().reject(error);
+        }
+    }
+
+    /**
+     * Stop all workers and reject anything still queued
+     */
+    stop() {
+        this.started = false;
+
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+
+        const workers = this.workers;
+        this.workers = [];
+        workers.forEach(worker => {
+            if (worker.pendingPing) {
+                clearTimeout(worker.pendingPing.timer);
+                worker.pendingPing = null;
+            }
+            worker.proc.kill();
+        });
+
+        this.rejectQueued(this.createUnavailableError('Python worker pool stopped'));
+    }
+
+    /**
+     * @param {string} fallbackMessage - Used when no worker reported why it failed
+     * @returns {TranscriptionError} The last startup failure, or PROVIDER_UNAVAILABLE
+     */
+    createUnavailableError(fallbackMessage) {
+        return new TranscriptionError(
+            this.lastErrorCode || ERROR_CODES.PROVIDER_UNAVAILABLE,
+            this.lastError || fallbackMessage,
+            { provider: 'python' }
+        );
+    }
+
+    /**
+     * @returns {boolean} True if at least one worker has loaded its models
+     */
+    hasReadyWorker() {
+        return this.workers.some(worker => worker.ready && !worker.stopping);
+    }
+
+    /**
+     * Get pool statistics
+     * @returns {Object} Pool status
+     */
+    getStatus() {
+        return {
+            running: this.started,
+            size: this.size,
+            workers: this.workers.map(worker => ({
+                pid: worker.proc.pid,
+                ready: worker.ready,
+                busy: !!worker.current
+            })),
+            queued: this.queue.length,
+            restarts: this.restarts,
+            lastError: this.lastError,
+            lastErrorCode: this.lastErrorCode
+        };
+    }
+}
+
+module.exports = PythonWorkerPool;
@@ -0,0 +1,131 @@
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const DEFAULT_LIMIT = 100; // requests per window
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Fixed-window request counter, kept in memory per process.
+// Every request counts against its user and its IP; it is refused when either is
+// over the limit, so one user cannot spread load over IPs and one IP cannot spread
+// it over accounts. The IP is counted before authentication, so requests with bad
+// tokens are throttled too. Configure with API_RATE_LIMIT and API_RATE_LIMIT_WINDOW_MS;
+// API_RATE_LIMIT_PER_IP defaults to API_RATE_LIMIT.
+class RateLimiter {
+  constructor({
+    userLimit = readInt(process.env.API_RATE_LIMIT, DEFAULT_LIMIT),
+    ipLimit = readInt(process.env.API_RATE_LIMIT_PER_IP, userLimit),
+    windowMs = readInt(process.env.API_RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS)
+  } = {}) {
+    this.userLimit = userLimit;
+    this.ipLimit = ipLimit;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { count, resetAt }
+
+    this.pruneTimer = setInterval(() => this.prune(), windowMs);
+    this.pruneTimer.unref();
+  }
+
+  hit(key, limit, now) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return { limited: window.count > limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+  }
+
+  /**
+   * Count one request.
+   * @param {Object} client
+   * @param {string|null} [client.userId]
+   * @param {string|null} [client.ip] - null skips the IP counter (already counted)
+   * @param {Object} [counted] - An earlier consume() result for the same request, e.g. its IP count
+   * @returns {{ limited: boolean, remaining: number, resetAt: number }} The strictest of the counters
+   */
+  consume({ userId = null, ip = 'unknown' }, counted = null) {
+    const now = Date.now();
+    const results = counted ? [counted] : [];
+    if (ip !== null) results.push(this.hit(`ip:${ip}`, this.ipLimit, now));
+    if (userId) results.push(this.hit(`user:${userId}`, this.userLimit, now));
+
+    return results.find(result => result.limited)
+      || results.reduce((strictest, result) => (result.remaining < strictest.remaining ? result : strictest));
+  }
+
+  // consume() that throws RATE_LIMITED, for socket events
+  check(client) {
+    const result = this.consume(client);
+    if (result.limited) {
+      throw new TranscriptionError(
+        ERROR_CODES.RATE_LIMITED,
+        `Too many requests; try again in ${Math.ceil((result.resetAt - Date.now()) / 1000)}s`
+      );
+    }
+    return result;
+  }
+
+  // Express middleware counting the IP; run it before requireAuth so failed sign-ins count
+  middleware() {
+    return (req, res, next) => this.respond(req, res, next, this.consume({ ip: req.ip }));
+  }
+
+  // Express middleware counting the signed-in user; run it after requireAuth
+  userMiddleware() {
+    return (req, res, next) => {
+      if (!req.user) return next();
+      this.respond(req, res, next, this.consume({ userId: req.user.id, ip: null }, req.rateLimit));
+    };
+  }
+
+  // Socket.IO middleware (io.use) counting handshakes per IP; run it before authenticateSocket
+  socketMiddleware() {
+    return (socket, next) => {
+      try {
+        this.check({ ip: socket.handshake.address });
+        next();
+      } catch (error) {
+        const refusal = new Error(error.message);
+        refusal.data = { code: error.code };
+        next(refusal);
+      }
+    };
+  }
+
+  // Set the RateLimit headers for the strictest counter so far, and refuse with 429 when it is over
+  respond(req, res, next, result) {
+    req.rateLimit = result;
+    const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
+
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.limited) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        code: ERROR_CODES.RATE_LIMITED,
+        error: `Too many requests; try again in ${retryAfter}s`
+      });
+    }
+    next();
+  }
+
+  // Drop windows that have ended
+  prune() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+module.exports = RateLimiter;
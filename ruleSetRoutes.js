@@ -0,0 +1,141 @@
+const express = require('express');
+const { canAccess, ownerIdOf, ownerScope } = require('./auth');
+const { normalizeRuleSet, applyRulesToText } = require('./postProcessor');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+/**
+ * The rule set a transcription request asked for, as the `ruleSet` transcription option.
+ * @param {RuleSetStore} store
+ * @param {Object|null} user - req.user or socket.data.user
+ * @param {string} [id] - Rule set id from the request; empty means none
+ * @returns {Promise<Object|undefined>} { id, name, vocabulary, rules }, or undefined without an id
+ * @throws {TranscriptionError} UNKNOWN_RULE_SET when it does not exist or belongs to someone else
+ */
+async function resolveRuleSet(store, user, id) {
+  if (id === undefined || id === null || id === '') return undefined;
+
+  const ruleSet = await store.get(String(id));
+  if (!ruleSet || !canAccess(user, ruleSet)) {
+    throw new TranscriptionError(ERROR_CODES.UNKNOWN_RULE_SET, `Rule set "${id}" not found`);
+  }
+
+  const { name, vocabulary, rules } = ruleSet;
+  return { id: ruleSet.id, name, vocabulary, rules };
+}
+
+// Post-processing rule set routes, mounted at /api/rulesets by both servers behind
+// requireAuth; every route only sees the signed-in user's rule sets.
+// Body: { "name": "Product names", "vocabulary": ["Kvitto AB"], "rules": [{ "find": "kvito", "replace": "Kvitto" }] }
+function createRuleSetRouter({ store }) {
+  const router = express.Router();
+
+  // Another user's rule set looks the same as a missing one
+  const loadRuleSet = async (req) => {
+    const ruleSet = await store.get(req.params.id);
+    return ruleSet && canAccess(req.user, ruleSet) ? ruleSet : null;
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ ruleSets: await store.list({ ownerId: ownerScope(req.user) }) });
+    } catch (error) {
+      console.error('Rule set list error:', error);
+      res.status(500).json({ error: 'Failed to list rule sets' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    let ruleSet;
+    try {
+      ruleSet = normalizeRuleSet(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.status(201).json(await store.create({ ...ruleSet, ownerId: ownerIdOf(req.user) }));
+    } catch (error) {
+      console.error('Rule set create error:', error);
+      res.status(500).json({ error: 'Failed to save rule set' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const ruleSet = await loadRuleSet(req);
+      if (!ruleSet) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      res.json(ruleSet);
+    } catch (error) {
+      console.error('Rule set fetch error:', error);
+      res.status(500).json({ error: 'Failed to load rule set' });
+    }
+  });
+
+  // Replace some or all of name, vocabulary and rules
+  router.patch('/:id', async (req, res) => {
+    try {
+      const ruleSet = await loadRuleSet(req);
+      if (!ruleSet) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      let changes;
+      try {
+        const { name, vocabulary, rules } = ruleSet;
+        changes = normalizeRuleSet({ name, vocabulary, rules, ...req.body });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json(await store.update(ruleSet.id, changes));
+    } catch (error) {
+      console.error('Rule set update error:', error);
+      res.status(500).json({ error: 'Failed to update rule set' });
+    }
+  });
+
+  // Try the rules on some text without transcribing anything: { "text": "..." }
+  router.post('/:id/preview', async (req, res) => {
+    const { text } = req.body || {};
+    if (typeof text !== 'string') {
+      return res.status(400).json({ error: 'text must be a string' });
+    }
+
+    try {
+      const ruleSet = await loadRuleSet(req);
+      if (!ruleSet) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      const { text: replaced, count } = applyRulesToText(text, ruleSet.rules);
+      res.json({ text: replaced, replacements: count });
+    } catch (error) {
+      // A rule that runs over its time budget is the rule set's fault, not the server's
+      if (error.code === ERROR_CODES.TIMEOUT) {
+        return res.status(422).json({ code: error.code, error: error.message });
+      }
+      console.error('Rule set preview error:', error);
+      res.status(500).json({ error: 'Failed to preview rule set' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!(await loadRuleSet(req)) || !(await store.delete(req.params.id))) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+      console.error('Rule set delete error:', error);
+      res.status(500).json({ error: 'Failed to delete rule set' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRuleSetRouter, resolveRuleSet };
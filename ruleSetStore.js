@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Fields a client may change through update()
+const UPDATABLE_FIELDS = ['name', 'vocabulary', 'rules'];
+
+// Flat-file storage for post-processing rule sets (see postProcessor.js), shared by
+// index.js and apps/api. Layout: <dataDir>/<id>.json. Callers validate with normalizeRuleSet().
+class RuleSetStore {
+  constructor({ dataDir } = {}) {
+    this.dataDir = dataDir
+      || process.env.RULE_SETS_DIR
+      || path.join(__dirname, 'data', 'rulesets');
+  }
+
+  async create({ name, vocabulary = [], rules = [], ownerId = null }) {
+    const now = new Date().toISOString();
+    const ruleSet = {
+      id: randomUUID(),
+      name,
+      ownerId,
+      createdAt: now,
+      updatedAt: now,
+      vocabulary,
+      rules
+    };
+
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await this.write(ruleSet);
+    return ruleSet;
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.ruleSetPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // All rule sets by name; with ownerId only that user's
+  async list({ ownerId } = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    const ruleSets = await Promise.all(ids.filter(id => ID_PATTERN.test(id)).map(id => this.get(id)));
+    return ruleSets
+      .filter(Boolean)
+      .filter(ruleSet => ownerId === undefined || ruleSet.ownerId === ownerId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async update(id, changes) {
+    const ruleSet = await this.get(id);
+    if (!ruleSet) return null;
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        ruleSet[field] = changes[field];
+      }
+    }
+
+    ruleSet.updatedAt = new Date().toISOString();
+    await this.write(ruleSet);
+    return ruleSet;
+  }
+
+  async delete(id) {
+    if (!(await this.get(id))) return false;
+
+    await fs.promises.rm(this.ruleSetPath(id), { force: true });
+    return true;
+  }
+
+  ruleSetPath(id) {
+    return path.join(this.dataDir, `${id}.json`);
+  }
+
+  // Write via a temp file so a crash never leaves a half-written rule set
+  async write(ruleSet) {
+    const target = this.ruleSetPath(ruleSet.id);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(ruleSet, null, 2));
+    await fs.promises.rename(temp, target);
+  }
+}
+
+module.exports = RuleSetStore;
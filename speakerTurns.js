@@ -0,0 +1,192 @@
+/**
+ * Speaker turns (utterances) built from word-level transcription segments.
+ *
+ * The pipeline returns one flat list of words, each with its own speaker label.
+ * A turn is a run of consecutive words from one speaker, ended by a speaker change
+ * or by a pause longer than `maxPause`. Speaker statistics, Markdown and subtitle
+ * cues are all derived from these turns so they agree with each other; overlaps and
+ * interruptions come from the pipeline's diarization turns (measureOverlaps).
+ */
+
+const { weightedConfidence } = require('./confidenceScorer');
+
+const DEFAULT_TURN_OPTIONS = {
+  maxPause: 1.5, // seconds of silence that ends a turn even without a speaker change
+  splitOnSpeakerChange: true
+};
+
+// Normalize words/segments into { start, end, text, speaker, speakerId, confidence, segmentId } units.
+// `speaker` is the display name from speakerNames, `speakerId` the raw diarization label,
+// `segmentId` the Whisper segment a word came from (null for segment-level input).
+function toUnits(segments = [], speakerNames = {}) {
+  return (segments || [])
+    .map(segment => {
+      const speakerId = segment.speaker && segment.speaker !== 'Unknown' ? segment.speaker : null;
+      return {
+        start: Number(segment.start) || 0,
+        end: Number(segment.end) || 0,
+        text: String(segment.word ?? segment.text ?? '').trim(),
+        speaker: speakerId ? speakerNames[speakerId] || speakerId : null,
+        speakerId,
+        confidence: segment.confidence ?? null,
+        segmentId: segment.segment_id ?? null
+      };
+    })
+    .filter(unit => unit.text.length > 0);
+}
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const countWords = (units) => units.reduce((count, unit) => count + unit.text.split(/\s+/).length, 0);
+
+/**
+ * Group segments into speaker turns.
+ * @param {Object[]} segments - Word- or segment-level transcription segments
+ * @param {Object} [options] - See DEFAULT_TURN_OPTIONS, plus speakerNames ({ label: name })
+ * @returns {Object[]} Turns: { index, start, end, duration, speaker, speakerId, text, wordCount, confidence, words }
+ */
+function buildTurns(segments, options = {}) {
+  const opts = { ...DEFAULT_TURN_OPTIONS, ...options };
+  const turns = [];
+  let words = [];
+  let end = 0;
+
+  const flush = () => {
+    if (words.length === 0) return;
+
+    const start = words[0].start;
+    turns.push({
+      index: turns.length + 1,
+      start,
+      end,
+      duration: end - start,
+      speaker: words[0].speaker,
+      speakerId: words[0].speakerId,
+      text: words.map(word => word.text).join(' '),
+      wordCount: countWords(words),
+      confidence: weightedConfidence(words),
+      words
+    });
+    words = [];
+  };
+
+  for (const unit of toUnits(segments, opts.speakerNames)) {
+    if (words.length > 0) {
+      const speakerChanged = opts.splitOnSpeakerChange && unit.speakerId !== words[0].speakerId;
+      const paused = unit.start - end > opts.maxPause;
+
+      if (speakerChanged || paused) {
+        flush();
+      }
+    }
+
+    end = words.length > 0 ? Math.max(end, unit.end) : unit.end;
+    words.push(unit);
+  }
+
+  flush();
+  return turns;
+}
+
+/**
+ * Stretches where two speakers talk at once, per speaker and in total. Words never
+ * overlap, so neither do the turns above; this works on the diarization turns
+ * ({ start, end, speaker }) the Python pipeline reports in `diarization`. An
+ * interruption is a turn that starts while another speaker's turn is running and
+ * outlasts it.
+ * @param {Object[]} [diarization]
+ * @returns {Object|null} { count, totalTime, interruptions, perSpeaker: Map(speaker ->
+ *   { time, interruptions, interrupted }) }, or null without diarization turns
+ */
+function measureOverlaps(diarization = []) {
+  if (!diarization?.length) return null;
+
+  const perSpeaker = new Map(); // speaker -> { time, interruptions, interrupted }
+  const statFor = (speaker) => {
+    if (!perSpeaker.has(speaker)) perSpeaker.set(speaker, { time: 0, interruptions: 0, interrupted: 0 });
+    return perSpeaker.get(speaker);
+  };
+  let count = 0;
+  let totalTime = 0;
+  let active = [];
+
+  for (const turn of [...diarization].sort((a, b) => a.start - b.start)) {
+    active = active.filter(other => other.end > turn.start);
+
+    for (const other of active) {
+      if (other.speaker === turn.speaker) continue;
+
+      const overlap = Math.min(other.end, turn.end) - turn.start;
+      count++;
+      totalTime += overlap;
+      statFor(other.speaker).time += overlap;
+      statFor(turn.speaker).time += overlap;
+
+      if (turn.end > other.end) {
+        statFor(turn.speaker).interruptions++;
+        statFor(other.speaker).interrupted++;
+      }
+    }
+
+    active.push(turn);
+  }
+
+  const interruptions = [...perSpeaker.values()].reduce((sum, stat) => sum + stat.interruptions, 0);
+  return { count, totalTime: round(totalTime), interruptions, perSpeaker };
+}
+
+/**
+ * Per-speaker statistics from turns. Talk time is the sum of the speaker's turn
+ * durations, so other people's speech between their turns is not counted.
+ * Words without a known speaker are left out. Overlap time and interruptions come
+ * from `diarization` (see measureOverlaps) and are null without it.
+ * @param {Object[]} turns - From buildTurns()
+ * @param {Object} [options]
+ * @param {Object[]} [options.diarization] - The result's diarization turns
+ * @returns {Object[]} { speaker, name, turnCount, wordCount, talkTime, wordsPerMinute,
+ *   startTime, endTime, longestTurn, overlapTime, interruptions, interrupted, confidence }
+ *   in order of first appearance
+ */
+function summarizeSpeakers(turns, { diarization } = {}) {
+  const overlaps = measureOverlaps(diarization);
+  const stats = new Map();
+
+  turns.forEach(turn => {
+    if (!turn.speakerId) return;
+
+    if (!stats.has(turn.speakerId)) {
+      stats.set(turn.speakerId, { speaker: turn.speakerId, name: turn.speaker, turns: [] });
+    }
+    stats.get(turn.speakerId).turns.push(turn);
+  });
+
+  return [...stats.values()].map(({ speaker, name, turns: own }) => {
+    const talkTime = own.reduce((sum, turn) => sum + turn.duration, 0);
+    const wordCount = own.reduce((sum, turn) => sum + turn.wordCount, 0);
+    const overlap = overlaps && (overlaps.perSpeaker.get(speaker) || { time: 0, interruptions: 0, interrupted: 0 });
+
+    return {
+      speaker,
+      name,
+      turnCount: own.length,
+      wordCount,
+      talkTime: round(talkTime),
+      wordsPerMinute: talkTime > 0 ? Math.round(wordCount / talkTime * 60 * 10) / 10 : null,
+      startTime: own[0].start,
+      endTime: Math.max(...own.map(turn => turn.end)),
+      longestTurn: round(Math.max(...own.map(turn => turn.duration))),
+      overlapTime: overlap && round(overlap.time),
+      interruptions: overlap && overlap.interruptions,
+      interrupted: overlap && overlap.interrupted,
+      confidence: weightedConfidence(own.flatMap(turn => turn.words))
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TURN_OPTIONS,
+  toUnits,
+  buildTurns,
+  measureOverlaps,
+  summarizeSpeakers
+};
@@ -0,0 +1,272 @@
+/**
+ * Subtitle and data exports built from word-level transcription segments
+ * ({ start, end, word, speaker, confidence }, as produced by the Python pipeline).
+ * Segment-level input ({ start, end, text }, e.g. OpenAI verbose_json) also works;
+ * each segment is then treated as one unsplittable unit. Cues are cut from the
+ * speaker turns in speakerTurns.js, so they never span two turns.
+ */
+
+const { weightedConfidence } = require('./confidenceScorer');
+const { buildTurns } = require('./speakerTurns');
+
+const DEFAULT_CUE_OPTIONS = {
+  maxCueDuration: 6, // seconds
+  maxLineLength: 42, // characters per line
+  maxLines: 2,
+  maxGap: 1.5, // seconds of silence that always ends a cue
+  splitOnSpeakerChange: true
+};
+
+const EXPORT_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  md: { extension: 'md', mimeType: 'text/markdown' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  json: { extension: 'json', mimeType: 'application/json' }
+};
+
+const JSON_SCHEMA_VERSION = '1.0';
+
+// Break text into lines of at most maxLineLength characters on word boundaries
+function wrapLines(text, maxLineLength) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    if (line && (line + ' ' + word).length > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Group segments into subtitle cues: speaker turns (maxGap is the turn pause),
+ * split further where a cue would get too long or too wide.
+ * @param {Object[]} segments - Word- or segment-level transcription segments
+ * @param {Object} [options] - See DEFAULT_CUE_OPTIONS, plus speakerNames ({ label: name })
+ * @returns {Object[]} Cues: { index, start, end, speaker, speakerId, text, lines, words }
+ */
+function buildCues(segments, options = {}) {
+  const opts = { ...DEFAULT_CUE_OPTIONS, ...options };
+  const maxChars = opts.maxLineLength * opts.maxLines;
+  const cues = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const text = current.words.map(word => word.text).join(' ');
+    cues.push({
+      index: cues.length + 1,
+      start: current.start,
+      end: current.end,
+      speaker: current.speaker,
+      speakerId: current.speakerId,
+      text,
+      lines: wrapLines(text, opts.maxLineLength),
+      words: current.words
+    });
+    current = null;
+  };
+
+  const turns = buildTurns(segments, {
+    maxPause: opts.maxGap,
+    splitOnSpeakerChange: opts.splitOnSpeakerChange,
+    speakerNames: opts.speakerNames
+  });
+
+  for (const turn of turns) {
+    for (const unit of turn.words) {
+      if (current) {
+        const text = current.words.map(word => word.text).concat(unit.text).join(' ');
+        const tooLong = unit.end - current.start > opts.maxCueDuration;
+        const tooWide = text.length > maxChars;
+
+        if (tooLong || tooWide) {
+          flush();
+        }
+      }
+
+      if (!current) {
+        current = { start: unit.start, end: unit.end, speaker: turn.speaker, speakerId: turn.speakerId, words: [] };
+      }
+
+      current.words.push(unit);
+      current.end = Math.max(current.end, unit.end);
+    }
+
+    flush();
+  }
+
+  return cues;
+}
+
+// 3723.5 -> "01:02:03,500" (SRT) or "01:02:03.500" (VTT)
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map(cue => {
+    const lines = [...cue.lines];
+    if (cue.speaker) {
+      lines[0] = `${cue.speaker}: ${lines[0]}`;
+    }
+    return [
+      cue.index,
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      ...lines
+    ].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// WebVTT voice spans must not contain "<", "&" or ">" unescaped
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toVtt(cues) {
+  const body = cues.map(cue => {
+    const text = cue.lines.map(escapeVtt).join('\n');
+    return [
+      cue.index,
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${text}</v>` : text
+    ].join('\n');
+  });
+
+  return ['WEBVTT', '', ...body.map(cue => `${cue}\n`)].join('\n');
+}
+
+// Whisper-style TSV: start and end in integer milliseconds
+function toTsv(cues) {
+  const rows = cues.map(cue => [
+    Math.round(cue.start * 1000),
+    Math.round(cue.end * 1000),
+    cue.speaker || '',
+    cue.text.replace(/[\t\n]/g, ' ')
+  ].join('\t'));
+
+  return ['start\tend\tspeaker\ttext', ...rows].join('\n') + '\n';
+}
+
+// One paragraph per speaker turn, prefixed with the speaker when known
+function toText(cues) {
+  return cues.map(cue => (cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text)).join('\n\n') + '\n';
+}
+
+// One "### Speaker (HH:MM:SS)" section per speaker turn
+function toMarkdown(cues) {
+  const sections = cues.map(cue => {
+    const time = formatTimestamp(cue.start, '.').slice(0, 8);
+    return `### ${cue.speaker || 'Transcript'} (${time})\n\n${cue.text}`;
+  });
+
+  return ['# Transcription', ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * The pipeline's Markdown layout, one line per speaker turn:
+ * "**SPEAKER_00  00:00:01.200-00:00:04.800**  words of the turn"
+ * @param {Object} result - Transcription result with word-level `segments` and optional speakerNames
+ * @returns {string}
+ */
+function formatSpeakerMarkdown(result) {
+  return buildTurns(result.segments, { speakerNames: result.speakerNames || {} })
+    .map(turn => `**${turn.speaker || 'Unknown'}  ${formatTimestamp(turn.start, '.')}-${formatTimestamp(turn.end, '.')}**  ${turn.text}`)
+    .join('\n\n');
+}
+
+/**
+ * JSON export, documented by transcript.schema.json:
+ * {
+ *   version, language, duration, pipeline, confidence, speakers: string[],
+ *   segments: [{ id, start, end, speaker, speakerId, text, confidence, words: [{ word, start, end, confidence }] }]
+ * }
+ */
+function toJson(result, cues) {
+  const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+
+  return JSON.stringify({
+    version: JSON_SCHEMA_VERSION,
+    language: result.language || null,
+    duration: result.duration ?? (cues.length ? cues[cues.length - 1].end : 0),
+    pipeline: result.pipeline || null,
+    confidence: result.confidence ?? null,
+    speakers,
+    segments: cues.map(cue => ({
+      id: cue.index,
+      start: cue.start,
+      end: cue.end,
+      speaker: cue.speaker,
+      speakerId: cue.speakerId,
+      text: cue.text,
+      confidence: weightedConfidence(cue.words),
+      words: cue.words.map(word => ({
+        word: word.text,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence
+      }))
+    }))
+  }, null, 2);
+}
+
+/**
+ * Export a transcription result.
+ * @param {Object} result - Transcription result with `segments`
+ * @param {string} format - One of txt, md, srt, vtt, tsv, json
+ * @param {Object} [options] - Cue options (maxCueDuration, maxLineLength, maxLines, maxGap, splitOnSpeakerChange)
+ * @returns {{ content: string, extension: string, mimeType: string }}
+ */
+function exportTranscript(result, format, options = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format "${format}". Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  // Results without timings (e.g. the mock provider) export as a single cue
+  const segments = result.segments?.length
+    ? result.segments
+    : [{ start: 0, end: result.duration || 0, text: result.text || '' }];
+
+  // Only subtitles need short cues; the other formats group whole speaker turns
+  const isSubtitle = format === 'srt' || format === 'vtt' || format === 'tsv';
+  const cues = buildCues(segments, {
+    ...(isSubtitle ? {} : { maxLineLength: Infinity, maxCueDuration: Infinity }),
+    ...options,
+    speakerNames: result.speakerNames || {}
+  });
+
+  const writers = {
+    txt: () => toText(cues),
+    md: () => toMarkdown(cues),
+    srt: () => toSrt(cues),
+    vtt: () => toVtt(cues),
+    tsv: () => toTsv(cues),
+    json: () => toJson(result, cues)
+  };
+
+  return { content: writers[format](), ...target };
+}
+
+module.exports = {
+  DEFAULT_CUE_OPTIONS,
+  EXPORT_FORMATS,
+  buildCues,
+  formatTimestamp,
+  formatSpeakerMarkdown,
+  exportTranscript
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // files older than this are orphans
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+// The one place temporary audio files are written (ffmpeg input, OpenAI uploads,
+// Python pipeline input). Every file gets a unique name and belongs to the request
+// that created it: use withFile() so it is removed however the request ends. A
+// sweeper deletes files older than the TTL that no request owns, e.g. left behind
+// by a crash, and writes that would exceed the quota are refused.
+class TempFileManager {
+  constructor({
+    dir = path.resolve(__dirname, process.env.TEMP_AUDIO_DIR || 'temp'),
+    ttlMs = parseInt(process.env.TEMP_FILE_TTL_MS, 10) || DEFAULT_TTL_MS,
+    sweepIntervalMs = parseInt(process.env.TEMP_SWEEP_INTERVAL_MS, 10) || DEFAULT_SWEEP_INTERVAL_MS,
+    maxBytes = parseInt(process.env.TEMP_DIR_MAX_BYTES, 10) || DEFAULT_MAX_BYTES
+  } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.maxBytes = maxBytes;
+
+    this.files = new Map(); // path -> { size, createdAt, active }
+    this.sweepTimer = null;
+    this.stats = { created: 0, removed: 0, swept: 0, rejected: 0, lastSweepAt: null };
+  }
+
+  // Create the directory and start sweeping; called by the first write
+  start() {
+    if (this.sweepTimer) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+
+    // Clear out what an earlier run left behind
+    this.sweep();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  get usedBytes() {
+    let total = 0;
+    for (const file of this.files.values()) total += file.size;
+    return total;
+  }
+
+  // Write a buffer to a new, uniquely named file and return its path.
+  // The caller owns the file until it calls remove().
+  async create(buffer, { prefix = 'audio', extension = 'wav' } = {}) {
+    this.start();
+
+    if (this.usedBytes + buffer.length > this.maxBytes) {
+      await this.sweep();
+    }
+    if (this.usedBytes + buffer.length > this.maxBytes) {
+      this.stats.rejected++;
+      throw new TranscriptionError(
+        ERROR_CODES.PROVIDER_UNAVAILABLE,
+        `Temporary storage quota exceeded: ${buffer.length} more bytes with ${this.usedBytes} of ${this.maxBytes} in use`
+      );
+    }
+
+    const filepath = path.join(this.dir, `${prefix}_${randomUUID()}.${extension.replace(/^\./, '')}`);
+    this.files.set(filepath, { size: buffer.length, createdAt: Date.now(), active: true });
+
+    try {
+      await fs.promises.writeFile(filepath, buffer, { flag: 'wx' });
+    } catch (error) {
+      this.files.delete(filepath);
+      await fs.promises.rm(filepath, { force: true });
+      throw new Error(`Failed to write temporary file: ${error.message}`);
+    }
+
+    this.stats.created++;
+    return filepath;
+  }
+
+  async remove(filepath) {
+    if (!filepath) return;
+
+    this.files.delete(filepath);
+    try {
+      await fs.promises.rm(filepath, { force: true });
+      this.stats.removed++;
+    } catch (error) {
+      console.warn(`Failed to remove temp file ${filepath}:`, error.message);
+    }
+  }
+
+  // Run fn(filepath) with the buffer on disk; the file is removed when fn settles
+  async withFile(buffer, options, fn) {
+    const filepath = await this.create(buffer, options);
+    try {
+      return await fn(filepath);
+    } finally {
+      await this.remove(filepath);
+    }
+  }
+
+  // Delete files older than the TTL that no request owns, and re-count what is on disk
+  async sweep() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Temp file sweep failed:', error.message);
+      return 0;
+    }
+
+    const now = Date.now();
+    let swept = 0;
+
+    for (const name of entries) {
+      const filepath = path.join(this.dir, name);
+      const tracked = this.files.get(filepath);
+      if (tracked?.active) continue;
+
+      try {
+        const stat = await fs.promises.stat(filepath);
+        if (!stat.isFile()) continue;
+
+        if (now - stat.mtimeMs > this.ttlMs) {
+          await fs.promises.rm(filepath, { force: true });
+          this.files.delete(filepath);
+          swept++;
+        } else if (!tracked) {
+          // Another process's file, or one from before a restart: it still takes up quota
+          this.files.set(filepath, { size: stat.size, createdAt: stat.mtimeMs, active: false });
+        }
+      } catch (error) {
+        this.files.delete(filepath);
+      }
+    }
+
+    // Forget untracked files that disappeared on their own
+    for (const [filepath, file] of this.files) {
+      if (!file.active && !entries.includes(path.basename(filepath))) {
+        this.files.delete(filepath);
+      }
+    }
+
+    if (swept > 0) {
+      console.log(`🗑️ Swept ${swept} expired temporary file(s)`);
+    }
+
+    this.stats.swept += swept;
+    this.stats.lastSweepAt = new Date(now).toISOString();
+    return swept;
+  }
+
+  list() {
+    return [...this.files].map(([filepath, file]) => ({
+      name: path.basename(filepath),
+      path: filepath,
+      size: file.size,
+      created: new Date(file.createdAt),
+      active: file.active
+    }));
+  }
+
+  getStatus() {
+    const files = [...this.files.values()];
+
+    return {
+      dir: this.dir,
+      files: files.length,
+      activeFiles: files.filter(file => file.active).length,
+      usedBytes: this.usedBytes,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      sweeping: !!this.sweepTimer,
+      ...this.stats
+    };
+  }
+}
+
+// Shared by every service in the process
+const tempFiles = new TempFileManager();
+module.exports = tempFiles;
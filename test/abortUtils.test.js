@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimeout } = require('../abortUtils');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+test('parses per-request timeouts and caps them at the server limit', () => {
+  assert.strictEqual(parseTimeout(undefined, 1000), undefined);
+  assert.strictEqual(parseTimeout('', 1000), undefined);
+  assert.strictEqual(parseTimeout('500', 1000), 500);
+  assert.strictEqual(parseTimeout(5000, 1000), 1000);
+  assert.strictEqual(parseTimeout(5000, 0), 5000);
+});
+
+test('rejects timeouts that are not a positive number of milliseconds', () => {
+  for (const value of ['x', -1, 0, 1.5, Infinity]) {
+    assert.throws(() => parseTimeout(value, 1000), { code: ERROR_CODES.INVALID_OPTION }, String(value));
+  }
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const audioService = require('../audioService');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+test('does not start ffmpeg once the request is cancelled', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    audioService.decodeFileToPcm(__filename, { signal: controller.signal }),
+    { name: 'AbortError', code: ERROR_CODES.CANCELLED }
+  );
+});
+
+test('reports an ffmpeg that cannot be started as PROVIDER_UNAVAILABLE', async (t) => {
+  const ffmpegPath = process.env.FFMPEG_PATH;
+  process.env.FFMPEG_PATH = `${__dirname}/no-such-ffmpeg`;
+  t.after(() => {
+    if (ffmpegPath === undefined) delete process.env.FFMPEG_PATH;
+    else process.env.FFMPEG_PATH = ffmpegPath;
+  });
+
+  await assert.rejects(
+    audioService.decodeFileToPcm(__filename),
+    { code: ERROR_CODES.PROVIDER_UNAVAILABLE }
+  );
+});
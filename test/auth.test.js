@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { requireAuth, signToken, verifyToken } = require('../auth');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+const secret = 'test-secret';
+const part = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('malformed tokens are UNAUTHORIZED before the signature is checked', () => {
+  const valid = signToken({ sub: 'alice' }, { secret });
+  const [header, payload, signature] = valid.split('.');
+
+  for (const token of [
+    'not-a-token',
+    `${part(null)}.${payload}.${signature}`,
+    `${header}.${part(null)}.${signature}`,
+    `${part([1])}.${payload}.${signature}`,
+    `${header}.${part(42)}.${signature}`,
+    `${header}.${Buffer.from('{').toString('base64url')}.${signature}`
+  ]) {
+    assert.throws(
+      () => verifyToken(token, { secret }),
+      { code: ERROR_CODES.UNAUTHORIZED, message: /Malformed token/ },
+      token
+    );
+  }
+});
+
+test('verifies tokens it signed and returns their user', () => {
+  const token = signToken({ sub: 'alice', name: 'Alice' }, { secret });
+  assert.deepStrictEqual(verifyToken(token, { secret }), { id: 'alice', name: 'Alice' });
+});
+
+test('refuses forged, expired, not yet valid and unsigned tokens', (t) => {
+  const valid = signToken({ sub: 'alice' }, { secret });
+  const [header, payload] = valid.split('.');
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${part({ alg: 'none', typ: 'JWT' })}.${payload}.`;
+
+  const cases = [
+    [signToken({ sub: 'alice' }, { secret: 'other-secret' }), /Invalid token signature/],
+    [`${header}.${part({ sub: 'mallory' })}.${valid.split('.')[2]}`, /Invalid token signature/],
+    [unsigned, /Unsupported token algorithm/],
+    [signToken({ sub: 'alice', exp: now - 3600 }, { secret, expiresIn: 0 }), /expired/],
+    [signToken({ sub: 'alice', nbf: now + 3600 }, { secret }), /not valid yet/]
+  ];
+
+  for (const [token, message] of cases) {
+    assert.throws(() => verifyToken(token, { secret }), { code: ERROR_CODES.UNAUTHORIZED, message }, token);
+  }
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+  assert.throws(() => verifyToken(valid, { secret }), /expired/);
+});
+
+test('requireAuth answers 401 UNAUTHORIZED without a valid token', (t) => {
+  const previous = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = secret;
+  t.after(() => {
+    if (previous === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = previous;
+  });
+
+  const run = (headers, query = {}) => {
+    const req = { headers, query };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    requireAuth(req, res, () => { passed = true; });
+    return { req, res, passed };
+  };
+
+  const token = signToken({ sub: 'alice' });
+  assert.deepStrictEqual(run({ authorization: `Bearer ${token}` }).req.user, { id: 'alice', name: null });
+  assert.strictEqual(run({}, { access_token: token }).passed, true);
+
+  for (const headers of [{}, { authorization: 'Bearer nope' }, { authorization: `Bearer ${part(null)}.e30.x` }]) {
+    const { res, passed } = run(headers);
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.code, ERROR_CODES.UNAUTHORIZED);
+  }
+});
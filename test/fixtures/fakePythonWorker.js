@@ -0,0 +1,19 @@
+// Stand-in for `transcription_pipeline.py --worker`, speaking the same line protocol.
+// The audio file name picks the behaviour: "hang" never answers, "crash" exits mid-request.
+const readline = require('readline');
+
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+
+send({ type: 'ready', pid: process.pid, device: 'cpu' });
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+
+  if (request.type === 'ping') {
+    send({ type: 'pong', id: request.id });
+  } else if (request.audio_file === 'crash') {
+    process.exit(1);
+  } else if (request.audio_file !== 'hang') {
+    send({ type: 'result', id: request.id, result: { success: true, ...request, pid: process.pid } });
+  }
+});
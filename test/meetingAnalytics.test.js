@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeMeeting, toAnalyticsCsv } = require('../meetingAnalytics');
+
+const word = (text, start, end, speaker) => ({ word: text, start, end, speaker, confidence: 0.9 });
+
+// Anna talks, a long silence, Berit answers while Anna is still finishing
+const result = {
+  duration: 12,
+  speakerNames: { SPEAKER_00: 'Anna' },
+  segments: [
+    word('Ska', 0, 0.5, 'SPEAKER_00'),
+    word('vi', 0.5, 1, 'SPEAKER_00'),
+    word('börja?', 1, 2, 'SPEAKER_00'),
+    word('Ja,', 6, 6.5, 'SPEAKER_01'),
+    word('gärna.', 6.5, 8, 'SPEAKER_01')
+  ],
+  diarization: [
+    { start: 0, end: 2, speaker: 'SPEAKER_00' },
+    { start: 5.5, end: 6.2, speaker: 'SPEAKER_00' },
+    { start: 6, end: 8, speaker: 'SPEAKER_01' }
+  ]
+};
+
+test('reports talk time, shares, turn-taking and silences', () => {
+  const report = analyzeMeeting(result);
+
+  assert.strictEqual(report.duration, 12);
+  assert.strictEqual(report.speechTime, 4);
+  assert.strictEqual(report.silenceTime, 8);
+  assert.deepStrictEqual(report.silences, [{ start: 2, end: 6, duration: 4 }, { start: 8, end: 12, duration: 4 }]);
+
+  assert.deepStrictEqual(report.speakers.map(s => [s.speaker, s.name, s.talkTime, s.share, s.wordCount]), [
+    ['SPEAKER_00', 'Anna', 2, 0.5, 3],
+    ['SPEAKER_01', 'SPEAKER_01', 2, 0.5, 2]
+  ]);
+  assert.deepStrictEqual(report.turnTaking, { turnCount: 2, speakerChanges: 1, averageTurnDuration: 2, turnsPerMinute: 10 });
+  assert.strictEqual(report.longestMonologue.speaker, 'SPEAKER_00');
+});
+
+test('measures overlaps and interruptions from diarization turns', () => {
+  const report = analyzeMeeting(result);
+
+  assert.deepStrictEqual(report.overlaps, { count: 1, totalTime: 0.2 });
+  assert.strictEqual(report.interruptions, 1);
+  assert.deepStrictEqual(report.speakers.map(s => [s.overlapTime, s.interruptions, s.interrupted]), [[0.2, 0, 1], [0.2, 1, 0]]);
+
+  const withoutDiarization = analyzeMeeting({ ...result, diarization: undefined });
+  assert.strictEqual(withoutDiarization.overlaps, null);
+  assert.strictEqual(withoutDiarization.interruptions, null);
+  assert.strictEqual(withoutDiarization.speakers[0].interruptions, null);
+});
+
+test('buckets the speaking rate per window and speaker', () => {
+  const { speakingRate } = analyzeMeeting(result, { rateWindow: 6 });
+
+  assert.deepStrictEqual(speakingRate, [
+    { start: 0, end: 6, words: 3, wordsPerMinute: 30, bySpeaker: { SPEAKER_00: 30 } },
+    { start: 6, end: 12, words: 2, wordsPerMinute: 20, bySpeaker: { SPEAKER_01: 20 } }
+  ]);
+});
+
+test('exports the report tables as CSV', () => {
+  const report = analyzeMeeting({ ...result, speakerNames: { SPEAKER_00: 'Anna, "A"' }, diarization: undefined });
+
+  assert.strictEqual(toAnalyticsCsv(report).split('\n')[1], 'SPEAKER_00,"Anna, ""A""",2,0.5,1,3,90,2,,,');
+  assert.strictEqual(toAnalyticsCsv(report, 'silences'), 'start,end,duration\n2,6,4\n8,12,4\n');
+  assert.match(toAnalyticsCsv(report, 'rate'), /^start,end,words,words_per_minute,"Anna, ""A""_words_per_minute",SPEAKER_01_words_per_minute\n/);
+  assert.throws(() => toAnalyticsCsv(report, 'words'), /Unknown analytics table/);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LIMITS, normalizeRuleSet, applyRules, applyRulesToText, validateDisfluencyMode } = require('../postProcessor');
+
+const ruleSet = (...rules) => ({ name: 'Test', rules });
+
+test('refuses regex rules that can backtrack catastrophically', () => {
+  for (const find of ['(a+)+$', '(a*)*b', '(\\w+\\s?)+$', '(a|aa)+$', '((ab)+c)+', '(\\d{2,})+', '(?:x+){2,}']) {
+    assert.throws(
+      () => normalizeRuleSet(ruleSet({ find, replace: '', regex: true })),
+      /exponential time/,
+      find
+    );
+  }
+});
+
+test('accepts ordinary regex and literal rules', () => {
+  const { rules } = normalizeRuleSet(ruleSet(
+    { find: 'kvit+o', replace: 'Kvitto', regex: true },
+    { find: 'chat ?g ?p ?t', replace: 'ChatGPT', regex: true },
+    { find: '(\\p{Lu}{2,}) ab', replace: '$1 AB', regex: true },
+    { find: '[(a+)+]x', replace: 'y', regex: true },
+    { find: '(a+)+', replace: 'literal' }
+  ));
+
+  assert.strictEqual(applyRulesToText('kvittto och chat g p t', rules).text, 'Kvitto och ChatGPT');
+});
+
+test('stops regex rules that run over their time budget', () => {
+  // Adjacent quantifiers pass the nesting check but backtrack polynomially
+  const { rules } = normalizeRuleSet(ruleSet({ find: `${'\\S*'.repeat(12)}x`, replace: '', regex: true }));
+
+  const started = Date.now();
+  assert.throws(
+    () => applyRulesToText('a'.repeat(25), rules),
+    error => error.code === 'TIMEOUT' && /rules\[0\]/.test(error.message)
+  );
+  assert.ok(Date.now() - started < LIMITS.ruleTimeMs * 2);
+});
+
+test('keeps word timings when a rule joins words', () => {
+  const { rules } = normalizeRuleSet(ruleSet({ find: 'chat g p t', replace: 'ChatGPT' }));
+  const words = [
+    { word: 'om', start: 0, end: 0.2, segment_id: 0 },
+    { word: 'chat', start: 0.3, end: 0.5, segment_id: 0 },
+    { word: 'g', start: 0.5, end: 0.6, segment_id: 0 },
+    { word: 'p', start: 0.6, end: 0.7, segment_id: 0 },
+    { word: 't', start: 0.7, end: 0.9, segment_id: 0 }
+  ];
+
+  const { segments, count } = applyRules(words, rules);
+
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual(segments.map(({ word, start, end }) => [word, start, end]), [['om', 0, 0.2], ['ChatGPT', 0.3, 0.9]]);
+  assert.strictEqual(segments[1].original, 'chat g p t');
+});
+
+test('rejects unknown disfluency modes as INVALID_OPTION', () => {
+  assert.strictEqual(validateDisfluencyMode(undefined), undefined);
+  assert.strictEqual(validateDisfluencyMode('clean'), 'clean');
+  assert.throws(() => validateDisfluencyMode('tidy'), { code: 'INVALID_OPTION' });
+});
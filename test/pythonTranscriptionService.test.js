@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// Spawn one-off processes instead of starting a worker pool
+process.env.PYTHON_WORKER_POOL_SIZE = '0';
+const PythonTranscriptionService = require('../pythonTranscriptionService');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+test('rejects and removes the temp file when cancelled while it is being written', { timeout: 5000 }, async () => {
+  const service = new PythonTranscriptionService();
+  const controller = new AbortController();
+  let tempFilePath;
+
+  const saveAudioBuffer = service.saveAudioBuffer.bind(service);
+  service.saveAudioBuffer = async (buffer) => {
+    tempFilePath = await saveAudioBuffer(buffer);
+    controller.abort();
+    return tempFilePath;
+  };
+
+  await assert.rejects(
+    service.transcribeWithProcess(Buffer.alloc(64), { signal: controller.signal }),
+    { name: 'AbortError', code: ERROR_CODES.CANCELLED }
+  );
+  assert.strictEqual(fs.existsSync(tempFilePath), false);
+});
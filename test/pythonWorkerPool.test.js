@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { once } = require('events');
+const PythonWorkerPool = require('../pythonWorkerPool');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+const createPool = (options = {}) => new PythonWorkerPool({
+  command: process.execPath,
+  pythonScript: path.join(__dirname, 'fixtures', 'fakePythonWorker.js'),
+  restartDelay: 10,
+  ...options
+});
+
+// The pool's timers are unref'd; in a server the listening socket keeps the process alive
+const keepAlive = (t) => {
+  const timer = setInterval(() => {}, 1000);
+  t.after(() => clearInterval(timer));
+};
+
+test('transcribes on a worker', { timeout: 5000 }, async (t) => {
+  const pool = createPool();
+  t.after(() => pool.stop());
+  keepAlive(t);
+
+  const result = await pool.transcribe('a.wav', { language: 'sv', prompt: 'Kvitto', outputFormat: 'markdown' });
+  assert.strictEqual(result.audio_file, 'a.wav');
+  assert.strictEqual(result.initial_prompt, 'Kvitto');
+  assert.strictEqual(result.output_format, 'markdown');
+});
+
+test('fails requests with PROVIDER_UNAVAILABLE when the interpreter cannot be spawned', { timeout: 5000 }, async (t) => {
+  const pool = createPool({ command: path.join(__dirname, 'no-such-python') });
+  t.after(() => pool.stop());
+
+  await assert.rejects(pool.transcribe('a.wav'), { code: ERROR_CODES.PROVIDER_UNAVAILABLE });
+  assert.strictEqual(pool.started, false);
+  assert.strictEqual(pool.restarts, 0);
+});
+
+test('a request made right after a worker is killed runs on its replacement', { timeout: 5000 }, async (t) => {
+  const pool = createPool();
+  t.after(() => pool.stop());
+  keepAlive(t);
+
+  pool.start();
+  const [{ pid }] = await once(pool, 'workerReady');
+
+  const controller = new AbortController();
+  const hanging = pool.transcribe('hang', { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(hanging, { code: ERROR_CODES.CANCELLED });
+
+  const result = await pool.transcribe('b.wav');
+  assert.strictEqual(result.audio_file, 'b.wav');
+  assert.notStrictEqual(result.pid, pid);
+});
+
+test('a worker crash fails its request and the next one succeeds', { timeout: 5000 }, async (t) => {
+  const pool = createPool();
+  t.after(() => pool.stop());
+  keepAlive(t);
+
+  const crashed = pool.transcribe('crash');
+  const queued = pool.transcribe('c.wav');
+
+  await assert.rejects(crashed, { code: ERROR_CODES.TRANSCRIPTION_FAILED });
+  assert.strictEqual((await queued).audio_file, 'c.wav');
+  assert.strictEqual(pool.restarts, 1);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../rateLimiter');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+const createLimiter = (t, options) => {
+  const limiter = new RateLimiter({ windowMs: 60 * 1000, ...options });
+  t.after(() => limiter.stop());
+  return limiter;
+};
+
+// Just enough of an Express request/response pair for the middlewares
+const call = (middleware, req) => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { res, passed };
+};
+
+test('limits each user and each IP separately', (t) => {
+  const limiter = createLimiter(t, { userLimit: 2, ipLimit: 2 });
+
+  assert.strictEqual(limiter.consume({ userId: 'a', ip: '1' }).limited, false);
+  assert.strictEqual(limiter.consume({ userId: 'a', ip: '2' }).limited, false);
+  assert.strictEqual(limiter.consume({ userId: 'a', ip: '3' }).limited, true); // user over 2
+
+  assert.strictEqual(limiter.consume({ userId: 'b', ip: '1' }).limited, false);
+  assert.strictEqual(limiter.consume({ userId: 'c', ip: '1' }).limited, true); // IP over 2
+});
+
+test('starts a new window once the old one has ended', (t) => {
+  const limiter = createLimiter(t, { userLimit: 1, ipLimit: 1, windowMs: 20 });
+
+  assert.strictEqual(limiter.consume({ ip: '1' }).limited, false);
+  assert.strictEqual(limiter.consume({ ip: '1' }).limited, true);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 50 });
+  assert.strictEqual(limiter.consume({ ip: '1' }).limited, false);
+});
+
+test('counts requests per IP before authentication and per user after it', (t) => {
+  const limiter = createLimiter(t, { userLimit: 1, ipLimit: 2 });
+  const ipMiddleware = limiter.middleware();
+  const userMiddleware = limiter.userMiddleware();
+
+  // Requests with bad tokens never reach the user counter but still use up the IP
+  const first = call(ipMiddleware, { ip: '1' });
+  assert.strictEqual(first.passed, true);
+  assert.strictEqual(first.res.headers['RateLimit-Remaining'], '1');
+
+  const req = { ip: '1' };
+  assert.strictEqual(call(ipMiddleware, req).passed, true);
+  req.user = { id: 'a' };
+  assert.strictEqual(call(userMiddleware, req).passed, true);
+
+  const refused = call(ipMiddleware, { ip: '1' });
+  assert.strictEqual(refused.passed, false);
+  assert.strictEqual(refused.res.statusCode, 429);
+  assert.strictEqual(refused.res.body.code, ERROR_CODES.RATE_LIMITED);
+  assert.ok(Number(refused.res.headers['Retry-After']) > 0);
+});
+
+test('refuses socket events and handshakes with RATE_LIMITED', (t) => {
+  const limiter = createLimiter(t, { ipLimit: 1 });
+
+  limiter.check({ ip: '1' });
+  assert.throws(() => limiter.check({ ip: '1' }), { code: ERROR_CODES.RATE_LIMITED });
+
+  let refusal;
+  limiter.socketMiddleware()({ handshake: { address: '1' } }, (error) => { refusal = error; });
+  assert.strictEqual(refusal.data.code, ERROR_CODES.RATE_LIMITED);
+});
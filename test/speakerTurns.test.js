@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTurns, measureOverlaps, summarizeSpeakers } = require('../speakerTurns');
+
+const word = (text, start, end, speaker, confidence = 0.9) => ({ word: text, start, end, speaker, confidence });
+
+const words = [
+  word('Hej', 0, 0.4, 'SPEAKER_00'),
+  word('allihop.', 0.5, 1, 'SPEAKER_00'),
+  word('Ska', 1.2, 1.4, 'SPEAKER_01'),
+  word('vi', 1.4, 1.5, 'SPEAKER_01'),
+  word('börja?', 1.5, 2, 'SPEAKER_01'),
+  word('Ja.', 5, 5.5, 'SPEAKER_01'),
+  word('mm', 6, 6.2, 'Unknown')
+];
+
+test('splits turns on speaker changes and long pauses', () => {
+  const turns = buildTurns(words, { speakerNames: { SPEAKER_01: 'Berit' } });
+
+  assert.deepStrictEqual(
+    turns.map(({ speakerId, speaker, text, start, end, wordCount }) => [speakerId, speaker, text, start, end, wordCount]),
+    [
+      ['SPEAKER_00', 'SPEAKER_00', 'Hej allihop.', 0, 1, 2],
+      ['SPEAKER_01', 'Berit', 'Ska vi börja?', 1.2, 2, 3],
+      ['SPEAKER_01', 'Berit', 'Ja.', 5, 5.5, 1],
+      [null, null, 'mm', 6, 6.2, 1]
+    ]
+  );
+  assert.deepStrictEqual(turns.map(turn => turn.index), [1, 2, 3, 4]);
+});
+
+test('keeps one turn per speaker without splitOnSpeakerChange or a shorter maxPause', () => {
+  assert.strictEqual(buildTurns(words.slice(0, 5), { splitOnSpeakerChange: false }).length, 1);
+  assert.strictEqual(buildTurns(words.slice(0, 2), { maxPause: 0.05 }).length, 2);
+});
+
+test('summarizes talk time and words per speaker, leaving out unknown speakers', () => {
+  const [first, second] = summarizeSpeakers(buildTurns(words));
+
+  assert.strictEqual(first.speaker, 'SPEAKER_00');
+  assert.strictEqual(first.talkTime, 1);
+  assert.strictEqual(first.wordsPerMinute, 120);
+  assert.strictEqual(second.turnCount, 2);
+  assert.strictEqual(second.wordCount, 4);
+  assert.strictEqual(second.talkTime, 1.3);
+  assert.strictEqual(second.longestTurn, 0.8);
+  assert.strictEqual(second.interruptions, null);
+});
+
+test('measures overlaps and interruptions on diarization turns', () => {
+  const diarization = [
+    { start: 0, end: 4, speaker: 'SPEAKER_00' },
+    { start: 3, end: 6, speaker: 'SPEAKER_01' }, // starts during SPEAKER_00 and outlasts it
+    { start: 5, end: 5.5, speaker: 'SPEAKER_00' } // backchannel inside SPEAKER_01's turn
+  ];
+
+  const overlaps = measureOverlaps(diarization);
+  assert.strictEqual(overlaps.count, 2);
+  assert.strictEqual(overlaps.totalTime, 1.5);
+  assert.strictEqual(overlaps.interruptions, 1);
+  assert.deepStrictEqual(overlaps.perSpeaker.get('SPEAKER_01'), { time: 1.5, interruptions: 1, interrupted: 0 });
+  assert.strictEqual(measureOverlaps([]), null);
+
+  const [first, second] = summarizeSpeakers(buildTurns(words), { diarization });
+  assert.deepStrictEqual([first.overlapTime, first.interruptions, first.interrupted], [1.5, 0, 1]);
+  assert.deepStrictEqual([second.overlapTime, second.interruptions, second.interrupted], [1.5, 1, 0]);
+});
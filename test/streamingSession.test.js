@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const audioService = require('../audioService');
+
+const load = () => import(pathToFileURL(path.join(__dirname, '..', 'apps', 'api', 'streamingSession.js')).href);
+
+const second = () => Buffer.alloc(audioService.sampleRate * audioService.bytesPerSample, 1);
+
+// Stands in for ffmpeg: PCM is fed to the session directly
+const fakeDecoder = (t) => {
+  t.mock.method(audioService, 'createStreamDecoder', ({ onClose }) => ({ write() {}, end: onClose, kill() {} }));
+};
+
+// Records every transcribeAudio call; whole-stream passes label their words with speakers
+const fakeService = (calls) => ({
+  transcribeAudio: async (wav, options) => {
+    calls.push(options);
+    const speaker = options.diarize === false ? 'Unknown' : 'SPEAKER_00';
+    return { text: 'hej', language: 'sv', segments: [{ word: 'hej', start: 0, end: 0.5, speaker }], provider: 'fake' };
+  },
+  scoreConfidence: () => ({})
+});
+
+test('transcribes windows without diarization and diarizes the whole stream at stop', async (t) => {
+  fakeDecoder(t);
+  const { StreamingSession } = await load();
+  const calls = [];
+  const events = [];
+
+  const session = new StreamingSession({
+    transcriptionService: fakeService(calls),
+    emit: (event, payload) => events.push([event, payload]),
+    options: { language: 'sv' },
+    windowSeconds: 1
+  });
+
+  session.handlePcm(Buffer.concat([second(), second()]));
+  await session.stop();
+
+  const windows = calls.slice(0, -1);
+  assert.ok(windows.length >= 2);
+  assert.ok(windows.every(options => options.diarize === false));
+  assert.strictEqual(calls[calls.length - 1].diarize, undefined);
+
+  const result = session.toResult();
+  assert.strictEqual(result.segments[0].speaker, 'SPEAKER_00');
+  assert.ok(events.some(([event, payload]) => event === 'transcriptionChunk' && !payload.partial));
+});
+
+test('waits as long as the previous pass took before the next partial pass', async (t) => {
+  fakeDecoder(t);
+  const { StreamingSession } = await load();
+  const calls = [];
+
+  const session = new StreamingSession({ transcriptionService: fakeService(calls), emit: () => {} });
+  t.after(() => session.close());
+
+  session.handlePcm(second());
+  await session.currentPass;
+  assert.strictEqual(calls.length, 1);
+
+  // Another second of audio arrives, but the backend is still owed its rest
+  session.nextPartialAt = Date.now() + 60 * 1000;
+  session.handlePcm(second());
+  assert.strictEqual(session.currentPass, null);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('forgets the session once it fails', async (t) => {
+  fakeDecoder(t);
+  const { StreamingSession } = await load();
+  const closed = [];
+  const events = [];
+
+  const session = new StreamingSession({
+    transcriptionService: fakeService([]),
+    emit: (event, payload) => events.push([event, payload]),
+    onClose: (s) => closed.push(s)
+  });
+
+  session.fail(new Error('decoder died'));
+  session.close();
+
+  assert.deepStrictEqual(closed, [session]);
+  assert.strictEqual(events[0][0], 'transcriptionError');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildCues, exportTranscript, formatTimestamp } = require('../subtitleExporter');
+
+const word = (text, start, end, speaker = 'SPEAKER_00') => ({ word: text, start, end, speaker, confidence: 0.9 });
+
+// Eight words of one speaker, half a second each
+const monologue = ['Det', 'här', 'är', 'en', 'ganska', 'lång', 'mening', 'idag.']
+  .map((text, i) => word(text, i * 0.5, i * 0.5 + 0.4));
+
+test('formats SRT and VTT timestamps', () => {
+  assert.strictEqual(formatTimestamp(3723.5, ','), '01:02:03,500');
+  assert.strictEqual(formatTimestamp(0.0004, '.'), '00:00:00.000');
+  assert.strictEqual(formatTimestamp(-1, '.'), '00:00:00.000');
+});
+
+test('splits cues that would run too long or too wide', () => {
+  const byDuration = buildCues(monologue, { maxCueDuration: 2 });
+  assert.deepStrictEqual(byDuration.map(cue => cue.text), ['Det här är en', 'ganska lång mening idag.']);
+  assert.ok(byDuration.every(cue => cue.end - cue.start <= 2));
+
+  const byWidth = buildCues(monologue, { maxLineLength: 10, maxLines: 1 });
+  assert.ok(byWidth.every(cue => cue.text.length <= 10), byWidth.map(cue => cue.text).join('|'));
+  assert.strictEqual(byWidth.map(cue => cue.text).join(' '), monologue.map(w => w.word).join(' '));
+});
+
+test('wraps cue text into lines and never spans two speakers', () => {
+  const [cue] = buildCues(monologue, { maxLineLength: 16, maxLines: 3 });
+  assert.deepStrictEqual(cue.lines, ['Det här är en', 'ganska lång', 'mening idag.']);
+
+  const cues = buildCues([word('Hej', 0, 0.3), word('hej', 0.4, 0.6, 'SPEAKER_01')]);
+  assert.deepStrictEqual(cues.map(c => [c.speakerId, c.text]), [['SPEAKER_00', 'Hej'], ['SPEAKER_01', 'hej']]);
+});
+
+test('exports SRT and VTT with speaker names', () => {
+  const result = {
+    segments: [word('Hej', 0, 0.5), word('<du>', 0.6, 1.2, 'SPEAKER_01')],
+    speakerNames: { SPEAKER_00: 'Anna' }
+  };
+
+  assert.strictEqual(
+    exportTranscript(result, 'srt').content,
+    '1\n00:00:00,000 --> 00:00:00,500\nAnna: Hej\n\n2\n00:00:00,600 --> 00:00:01,200\nSPEAKER_01: <du>\n'
+  );
+
+  const vtt = exportTranscript(result, 'vtt');
+  assert.strictEqual(vtt.mimeType, 'text/vtt');
+  assert.match(vtt.content, /^WEBVTT\n\n1\n00:00:00\.000 --> 00:00:00\.500\n<v Anna>Hej<\/v>\n/);
+  assert.match(vtt.content, /<v SPEAKER_01>&lt;du&gt;<\/v>/);
+});
+
+test('exports results without segments as one cue and refuses unknown formats', () => {
+  const { content } = exportTranscript({ text: 'Bara text', duration: 2 }, 'tsv');
+  assert.strictEqual(content, 'start\tend\tspeaker\ttext\n0\t2000\t\tBara text\n');
+
+  assert.throws(() => exportTranscript({ text: 'x' }, 'docx'), /Unsupported export format/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, searchTranscript } = require('../transcriptSearch');
+
+const transcript = {
+  speakerNames: { SPEAKER_01: 'Berit' },
+  segments: [
+    ['Budgeten', 0, 0.6, 'SPEAKER_00'],
+    ['för', 0.7, 0.9, 'SPEAKER_00'],
+    ['nästa', 1, 1.3, 'SPEAKER_00'],
+    ['kvartal,', 1.4, 2, 'SPEAKER_00'],
+    ['nästa', 3, 3.3, 'SPEAKER_01'],
+    ['vecka', 3.4, 3.8, 'SPEAKER_01'],
+    ['då?', 3.9, 4.1, 'SPEAKER_01']
+  ].map(([word, start, end, speaker]) => ({ word, start, end, speaker }))
+};
+
+test('parses bare words and quoted phrases, ignoring case and punctuation', () => {
+  assert.deepStrictEqual(parseQuery('Budget "Nästa  kvartal!" ""'), [['budget'], ['nästa', 'kvartal']]);
+  assert.deepStrictEqual(parseQuery(''), []);
+});
+
+test('finds phrases across words with their timings', () => {
+  const hits = searchTranscript(transcript, parseQuery('"nästa kvartal"'));
+
+  assert.deepStrictEqual(hits, [{
+    start: 1,
+    end: 2,
+    speaker: 'SPEAKER_00',
+    speakerName: 'SPEAKER_00',
+    match: 'nästa kvartal,',
+    context: 'Budgeten för nästa kvartal, nästa vecka då?'
+  }]);
+});
+
+test('only matches transcripts that contain every term', () => {
+  assert.strictEqual(searchTranscript(transcript, parseQuery('nästa semester')), null);
+  assert.deepStrictEqual(searchTranscript(transcript, parseQuery('nästa vecka')).map(hit => hit.match), ['nästa', 'nästa', 'vecka']);
+});
+
+test('filters by speaker label or display name', () => {
+  const byName = searchTranscript(transcript, parseQuery('nästa'), { speaker: 'berit' });
+  assert.deepStrictEqual(byName.map(hit => [hit.start, hit.speakerName]), [[3, 'Berit']]);
+
+  assert.strictEqual(searchTranscript(transcript, parseQuery('budgeten'), { speaker: 'SPEAKER_01' }), null);
+});
+
+test('searches segment-level and text-only transcripts', () => {
+  const hits = searchTranscript({ text: 'Vi ses i morgon', duration: 4 }, parseQuery('"i morgon"'));
+  assert.deepStrictEqual(hits.map(hit => [hit.start, hit.end, hit.speaker]), [[0, 4, null]]);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Shared by the React and DOM transcript viewers in packages/ui
+const load = () => import(pathToFileURL(path.join(__dirname, '..', 'packages', 'ui', 'src', 'transcript-words.js')).href);
+
+const words = [
+  { word: 'Hej', start: 0, end: 0.4, speaker: 'SPEAKER_01', confidence: 0.9 },
+  { word: 'där', start: 0.5, end: 0.9, speaker: 'Unknown', confidence: null },
+  { word: 'ja', start: 1.2, end: 1.5, speaker: 'SPEAKER_00' },
+  { word: 'okej', start: 1.6, end: 2, speaker: 'SPEAKER_01', confidence: 0.25 }
+];
+
+test('lists speakers in order of first appearance, without Unknown', async () => {
+  const { listSpeakers, speakerColor, SPEAKER_COLORS } = await load();
+  const speakers = listSpeakers(words);
+
+  assert.deepStrictEqual(speakers, ['SPEAKER_01', 'SPEAKER_00']);
+  assert.strictEqual(speakerColor('SPEAKER_00', speakers), SPEAKER_COLORS[1]);
+  assert.strictEqual(speakerColor('Unknown', speakers), '#374151');
+});
+
+test('finds the word being spoken, and none between words', async () => {
+  const { findActiveWord } = await load();
+
+  assert.strictEqual(findActiveWord(words, 0.2), 0);
+  assert.strictEqual(findActiveWord(words, 1.0), -1);
+  assert.strictEqual(findActiveWord(words, 2), 3);
+  assert.strictEqual(findActiveWord(words, -1), -1);
+  assert.strictEqual(findActiveWord([], 1), -1);
+});
+
+test('labels and fades words by speaker name and confidence', async () => {
+  const { wordTitle, confidenceOpacity } = await load();
+
+  assert.strictEqual(wordTitle(words[0], { SPEAKER_01: 'Anna' }), 'Anna · 0.00s · 90%');
+  assert.strictEqual(wordTitle(words[2]), 'SPEAKER_00 · 1.20s');
+  assert.strictEqual(wordTitle({ ...words[1], speaker: null }), 'Unknown · 0.50s');
+  assert.strictEqual(confidenceOpacity(null), 1);
+  assert.strictEqual(confidenceOpacity(1), 1);
+  assert.strictEqual(confidenceOpacity(0), 0.35);
+});
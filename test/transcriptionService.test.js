@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.TRANSCRIPTION_PROVIDERS = 'mock';
+process.env.PYTHON_WORKER_POOL_SIZE = '0';
+const TranscriptionService = require('../transcriptionService');
+const audioService = require('../audioService');
+const { createAbortError } = require('../abortUtils');
+const { ERROR_CODES } = require('../transcriptionErrors');
+
+// One second of a 16 kHz tone, already in the format providers take
+const tone = () => {
+  const pcm = Buffer.alloc(audioService.sampleRate * audioService.bytesPerSample);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(i / 5) * 8000), i * 2);
+  }
+  return audioService.encodeWav(pcm);
+};
+
+test('validates audio before transcribing when asked to', async () => {
+  const service = new TranscriptionService();
+
+  await assert.rejects(
+    service.transcribeAudio(audioService.encodeWav(Buffer.alloc(32000)), { validate: true }),
+    { code: ERROR_CODES.SILENT_AUDIO }
+  );
+
+  const result = await service.transcribeAudio(tone(), { validate: true });
+  assert.strictEqual(result.provider, 'mock');
+});
+
+test('counts decoding towards the timeout and does not decode twice', async (t) => {
+  const service = new TranscriptionService();
+  let conversions = 0;
+
+  // A decode that only ends when the request is aborted
+  t.mock.method(audioService, 'convertToWav', (buffer, { signal }) => {
+    conversions++;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(createAbortError(signal)), { once: true });
+    });
+  });
+
+  await assert.rejects(
+    service.transcribeAudio(tone(), { validate: true, timeout: 50 }),
+    { name: 'TimeoutError', code: ERROR_CODES.TIMEOUT }
+  );
+  assert.strictEqual(conversions, 1);
+});
@@ -13,9 +13,10 @@ async function testTranscriptionPipeline() {
     console.log('🧪 Testing Swedish Transcription Pipeline');
     console.log('========================================\n');
 
+    // Initialize the transcription service
+    const transcriptionService = new TranscriptionService();
+
     try {
-        // Initialize the transcription service
-        const transcriptionService = new TranscriptionService();
 
         // Check service status
         console.log('1. Checking service configuration...');
@@ -65,7 +66,7 @@ async function testTranscriptionPipeline() {
         console.log(`   - Success: ${result.pipeline === 'python-local' ? '✅' : '⚠️'}`);
         console.log(`   - Pipeline used: ${result.pipeline}`);
         console.log(`   - Language: ${result.language}`);
-        console.log(`   - Confidence: ${(result.confidence * 100).toFixed(1)}%`);
+        console.log(`   - Confidence: ${result.confidence === null ? 'n/a' : `${(result.confidence * 100).toFixed(1)}%`}`);
         console.log(`   - Speakers detected: ${result.speakers?.length || 0}`);
         console.log(`   - Total words: ${result.totalWords || 0}`);
         console.log(`   - Duration: ${result.duration?.toFixed(2) || 0}s`);
@@ -91,7 +92,7 @@ async function testTranscriptionPipeline() {
             console.log(`   - Total speakers: ${speakerInfo.speakerCount}`);
 
             speakerInfo.speakerStats.forEach(stat => {
-                console.log(`   - ${stat.speaker}: ${stat.wordCount} words, ${stat.duration.toFixed(1)}s`);
+                console.log(`   - ${stat.speaker}: ${stat.wordCount} words in ${stat.turnCount} turns, ${stat.talkTime.toFixed(1)}s`);
             });
         }
 
@@ -106,6 +107,9 @@ async function testTranscriptionPipeline() {
     } catch (error) {
         console.error('\n❌ Test failed:', error.message);
         console.error('Stack trace:', error.stack);
+    } finally {
+        // Stop persistent Python workers so the script can exit
+        transcriptionService.shutdown();
     }
 }
 
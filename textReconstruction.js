@@ -0,0 +1,114 @@
+/**
+ * Readable transcript text rebuilt from word- or segment-level transcription segments.
+ *
+ * Words are joined within their Whisper segment (`segment_id`); segment-level input
+ * ({ start, end, text }) has one segment per unit. A new paragraph starts on every
+ * speaker change and on pauses longer than `paragraphPause`, but a pause only ends a
+ * paragraph at a sentence end or a segment boundary, so a hesitation never splits a
+ * sentence. With `punctuate`, paragraphs start with a capital and end with sentence
+ * punctuation where Whisper left it off. Spacing around punctuation is normalized.
+ */
+
+const { toUnits } = require('./speakerTurns');
+
+const DEFAULT_TEXT_OPTIONS = {
+  paragraphPause: 2, // seconds of silence that starts a new paragraph
+  splitOnSpeakerChange: true,
+  speakerLabels: true, // prefix paragraphs with "Speaker: " when the speaker is known
+  punctuate: true
+};
+
+const SENTENCE_END = /[.?!…]["'”’)\]]*$/;
+
+// Collapse whitespace and attach punctuation to the word before it: "hej , du" -> "hej, du"
+function normalizeSpacing(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:!?…%)\]}”’])/g, '$1')
+    .replace(/([([{“‘])\s+/g, '$1')
+    .replace(/([,;!?…])(?=\p{L})/gu, '$1 ')
+    .replace(/(\p{Ll}{2}\.)(?=\p{Lu})/gu, '$1 ')
+    .trim();
+}
+
+// Capitalize the first letter, skipping leading punctuation ("(eh) vi" stays lower case past the bracket)
+function capitalizeFirst(text) {
+  return text.replace(/\p{L}/u, letter => letter.toLocaleUpperCase());
+}
+
+// End a paragraph with sentence punctuation; a trailing comma or semicolon becomes a period
+function terminate(text) {
+  if (!text || SENTENCE_END.test(text) || !/[\p{L}\p{N}]/u.test(text)) return text;
+  return text.replace(/[,;:]*$/, '.');
+}
+
+/**
+ * Group segments into paragraphs.
+ * @param {Object[]} segments - Word- or segment-level transcription segments
+ * @param {Object} [options] - See DEFAULT_TEXT_OPTIONS, plus speakerNames ({ label: name })
+ * @returns {Object[]} Paragraphs: { start, end, speaker, speakerId, text }
+ */
+function buildParagraphs(segments, options = {}) {
+  const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+  const paragraphs = [];
+  let units = [];
+
+  const flush = () => {
+    if (units.length === 0) return;
+
+    let text = normalizeSpacing(units.map(unit => unit.text).join(' '));
+    if (opts.punctuate) {
+      text = terminate(capitalizeFirst(text));
+    }
+
+    paragraphs.push({
+      start: units[0].start,
+      end: Math.max(...units.map(unit => unit.end)),
+      speaker: units[0].speaker,
+      speakerId: units[0].speakerId,
+      text
+    });
+    units = [];
+  };
+
+  for (const unit of toUnits(segments, opts.speakerNames)) {
+    const previous = units[units.length - 1];
+
+    if (previous) {
+      const speakerChanged = opts.splitOnSpeakerChange && unit.speakerId !== previous.speakerId;
+      const paused = unit.start - previous.end > opts.paragraphPause;
+      const boundary = unit.segmentId === null || unit.segmentId !== previous.segmentId || SENTENCE_END.test(previous.text);
+
+      if (speakerChanged || (paused && boundary)) {
+        flush();
+      }
+    }
+
+    units.push(unit);
+  }
+
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Transcript text: paragraphs separated by blank lines, each prefixed with its speaker
+ * when known ("SPEAKER_00: Hej allihop. Ska vi börja?").
+ * @param {Object[]} segments - Word- or segment-level transcription segments
+ * @param {Object} [options] - See DEFAULT_TEXT_OPTIONS, plus speakerNames ({ label: name })
+ * @returns {string}
+ */
+function reconstructText(segments, options = {}) {
+  const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+
+  return buildParagraphs(segments, opts)
+    .map(paragraph => (opts.speakerLabels && paragraph.speaker ? `${paragraph.speaker}: ${paragraph.text}` : paragraph.text))
+    .join('\n\n');
+}
+
+module.exports = {
+  DEFAULT_TEXT_OPTIONS,
+  normalizeSpacing,
+  buildParagraphs,
+  reconstructText
+};
@@ -0,0 +1,240 @@
+const express = require('express');
+const { canAccess, ownerScope } = require('./auth');
+
+// Cue options accepted as query parameters on export routes
+function parseExportOptions(query) {
+  const { maxCueDuration, maxLineLength, maxLines, maxGap, splitOnSpeakerChange, disfluencies } = query;
+  const options = {};
+  if (maxCueDuration) options.maxCueDuration = Number(maxCueDuration);
+  if (maxLineLength) options.maxLineLength = Number(maxLineLength);
+  if (maxLines) options.maxLines = Number(maxLines);
+  if (maxGap) options.maxGap = Number(maxGap);
+  if (splitOnSpeakerChange !== undefined) options.splitOnSpeakerChange = splitOnSpeakerChange !== 'false';
+  if (disfluencies) options.disfluencies = disfluencies; // checked by exportTranscription()
+  return options;
+}
+
+// Analytics options accepted as query parameters; invalid numbers fall back to the defaults
+function parseAnalyticsOptions(query) {
+  const options = {};
+  for (const key of ['minSilence', 'rateWindow', 'maxPause']) {
+    const value = Number(query[key]);
+    if (query[key] && Number.isFinite(value) && value > 0) options[key] = value;
+  }
+  return options;
+}
+
+// Query-string date -> Date; null when absent, undefined when invalid.
+// A bare date used as an upper bound includes that whole day.
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Transcript history routes, mounted at /api/transcripts by both servers behind
+// requireAuth; every route only sees the signed-in user's transcripts
+function createTranscriptRouter({ store, transcriptionService }) {
+  const router = express.Router();
+
+  // Another user's transcript looks the same as a missing one
+  const loadTranscript = async (req) => {
+    const transcript = await store.get(req.params.id);
+    return transcript && canAccess(req.user, transcript) ? transcript : null;
+  };
+
+  const listOptions = (query, user) => ({
+    ownerId: ownerScope(user),
+    language: query.language,
+    query: query.q,
+    limit: Math.min(parseInt(query.limit, 10) || 50, 200),
+    offset: parseInt(query.offset, 10) || 0
+  });
+
+  // GET /api/transcripts?language=sv&limit=20&offset=0
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await store.list(listOptions(req.query, req.user)));
+    } catch (error) {
+      console.error('Transcript list error:', error);
+      res.status(500).json({ error: 'Failed to list transcripts' });
+    }
+  });
+
+  // GET /api/transcripts/search?q="next quarter" budget&speaker=Anna&language=sv&from=2024-05-01&to=2024-05-31
+  // Every word or "quoted phrase" must occur; hits carry start/end times for seeking in the audio
+  router.get('/search', async (req, res) => {
+    const { q, speaker, language, from, to } = req.query;
+    if (!q) {
+      return res.status(400).json({ error: 'Missing search query (q)' });
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'from and to must be ISO dates, e.g. 2024-05-31' });
+    }
+
+    try {
+      res.json(await store.search({
+        query: q,
+        ownerId: ownerScope(req.user),
+        speaker,
+        language,
+        from: fromDate,
+        to: toDate,
+        limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+        offset: parseInt(req.query.offset, 10) || 0
+      }));
+    } catch (error) {
+      console.error('Transcript search error:', error);
+      res.status(500).json({ error: 'Failed to search transcripts' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const transcript = await loadTranscript(req);
+      if (!transcript) {
+        return res.status(404).json({ error: 'Transcript not found' });
+      }
+
+      res.json(transcript);
+    } catch (error) {
+      console.error('Transcript fetch error:', error);
+      res.status(500).json({ error: 'Failed to load transcript' });
+    }
+  });
+
+  router.get('/:id/audio', async (req, res) => {
+    try {
+      const transcript = await loadTranscript(req);
+      const audioPath = transcript && store.getAudioPath(transcript);
+      if (!audioPath) {
+        return res.status(404).json({ error: 'Audio not found' });
+      }
+
+      res.sendFile(audioPath);
+    } catch (error) {
+      console.error('Transcript audio error:', error);
+      res.status(500).json({ error: 'Failed to load audio' });
+    }
+  });
+
+  // GET /api/transcripts/:id/export?format=vtt&maxLineLength=32&disfluencies=clean
+  router.get('/:id/export', async (req, res) => {
+    let transcript;
+    try {
+      transcript = await loadTranscript(req);
+    } catch (error) {
+      console.error('Transcript export error:', error);
+      return res.status(500).json({ error: 'Failed to load transcript' });
+    }
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    try {
+      const file = transcriptionService.exportTranscription(transcript, req.query.format || 'txt', parseExportOptions(req.query));
+      res.type(file.mimeType);
+      res.attachment(`${transcript.title.replace(/[^\w\- ]+/g, '_')}.${file.extension}`);
+      res.send(file.content);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // GET /api/transcripts/:id/analytics?format=csv&table=rate&rateWindow=30
+  // JSON returns the whole report; CSV one table (speakers, silences or rate) as a download
+  router.get('/:id/analytics', async (req, res) => {
+    const { format = 'json', table = 'speakers' } = req.query;
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    let transcript;
+    try {
+      transcript = await loadTranscript(req);
+    } catch (error) {
+      console.error('Transcript analytics error:', error);
+      return res.status(500).json({ error: 'Failed to load transcript' });
+    }
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    try {
+      const report = transcriptionService.analyzeMeeting(transcript, parseAnalyticsOptions(req.query));
+      const filename = `${transcript.title.replace(/[^\w\- ]+/g, '_')} analytics`;
+
+      if (format === 'json') {
+        if (req.query.download) res.attachment(`${filename}.json`);
+        return res.json({ id: transcript.id, title: transcript.title, ...report });
+      }
+
+      const csv = transcriptionService.exportAnalyticsCsv(report, table);
+      res.type('text/csv');
+      res.attachment(`${filename} - ${table}.csv`);
+      res.send(csv);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Update title and/or speaker names: { "title": "...", "speakerNames": { "SPEAKER_00": "Anna" } }
+  router.patch('/:id', async (req, res) => {
+    const { title, speakerNames } = req.body || {};
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 200)) {
+      return res.status(400).json({ error: 'title must be a non-empty string of at most 200 characters' });
+    }
+    if (speakerNames !== undefined && (!speakerNames || typeof speakerNames !== 'object')) {
+      return res.status(400).json({ error: 'speakerNames must be an object of { label: name }' });
+    }
+
+    try {
+      const transcript = await loadTranscript(req);
+      if (!transcript) {
+        return res.status(404).json({ error: 'Transcript not found' });
+      }
+
+      const changes = {};
+      if (title !== undefined) changes.title = title.trim();
+      if (speakerNames !== undefined) {
+        try {
+          changes.speakerNames = transcriptionService.renameSpeakers(transcript, speakerNames).speakerNames;
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      res.json(await store.update(transcript.id, changes));
+    } catch (error) {
+      console.error('Transcript update error:', error);
+      res.status(500).json({ error: 'Failed to update transcript' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!(await loadTranscript(req)) || !(await store.delete(req.params.id))) {
+        return res.status(404).json({ error: 'Transcript not found' });
+      }
+
+      res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+      console.error('Transcript delete error:', error);
+      res.status(500).json({ error: 'Failed to delete transcript' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTranscriptRouter, parseExportOptions, parseAnalyticsOptions };
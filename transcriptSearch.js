@@ -0,0 +1,120 @@
+/**
+ * Full-text search over stored transcript segments.
+ *
+ * Works on the segment shape produced by merge_transcription_and_diarization
+ * (one { word, start, end, speaker, confidence } entry per word) and on
+ * segment-level results ({ text, start, end }), where every token inherits the
+ * segment's timings.
+ */
+
+const MAX_HITS_PER_TRANSCRIPT = 20;
+const CONTEXT_WORDS = 6; // words of context on each side of a hit
+
+// Lowercase and strip punctuation, keeping letters (å, ä, ö, ...), digits and apostrophes
+function normalizeToken(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+}
+
+function tokenize(text) {
+  return String(text || '').split(/\s+/).map(normalizeToken).filter(Boolean);
+}
+
+/**
+ * Parse a query into terms: bare words and "quoted phrases".
+ * @example parseQuery('budget "next quarter"') // [['budget'], ['next', 'quarter']]
+ * @returns {string[][]} One token array per term
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const tokens = tokenize(match[1] ?? match[2]);
+    if (tokens.length > 0) terms.push(tokens);
+  }
+
+  return terms;
+}
+
+// Flatten segments into one entry per token, keeping timing and speaker
+function toTokens(segments) {
+  const tokens = [];
+
+  segments.forEach(segment => {
+    String(segment.word ?? segment.text ?? '').split(/\s+/).forEach(raw => {
+      const token = normalizeToken(raw);
+      if (!token) return;
+      tokens.push({
+        token,
+        raw,
+        start: Number(segment.start) || 0,
+        end: Number(segment.end) || 0,
+        speaker: segment.speaker && segment.speaker !== 'Unknown' ? segment.speaker : null
+      });
+    });
+  });
+
+  return tokens;
+}
+
+// Does the speaker filter match a raw label or its display name?
+function matchesSpeaker(label, speakerNames, filter) {
+  if (!filter) return true;
+  if (!label) return false;
+  const wanted = filter.toLowerCase();
+  return label.toLowerCase() === wanted || (speakerNames[label] || '').toLowerCase() === wanted;
+}
+
+/**
+ * Find every occurrence of the query terms in one transcript.
+ * A transcript only matches when each term occurs at least once (within the speaker filter).
+ * @param {Object} transcript - Stored transcript ({ segments, speakerNames, text, duration })
+ * @param {string[][]} terms - From parseQuery()
+ * @param {Object} [filters] - { speaker } raw label or display name
+ * @returns {Object[]|null} Hits sorted by time, or null when the transcript does not match
+ */
+function searchTranscript(transcript, terms, { speaker } = {}) {
+  const speakerNames = transcript.speakerNames || {};
+  const segments = transcript.segments?.length
+    ? transcript.segments
+    : [{ text: transcript.text, start: 0, end: transcript.duration || 0 }];
+  const tokens = toTokens(segments);
+  const hits = [];
+
+  for (const term of terms) {
+    let found = false;
+
+    for (let i = 0; i + term.length <= tokens.length; i++) {
+      if (!term.every((token, offset) => tokens[i + offset].token === token)) continue;
+
+      const first = tokens[i];
+      const last = tokens[i + term.length - 1];
+      if (!matchesSpeaker(first.speaker, speakerNames, speaker)) continue;
+
+      found = true;
+      hits.push({
+        start: first.start,
+        end: last.end,
+        speaker: first.speaker,
+        speakerName: first.speaker ? speakerNames[first.speaker] || first.speaker : null,
+        match: tokens.slice(i, i + term.length).map(token => token.raw).join(' '),
+        context: tokens
+          .slice(Math.max(0, i - CONTEXT_WORDS), i + term.length + CONTEXT_WORDS)
+          .map(token => token.raw)
+          .join(' ')
+      });
+    }
+
+    if (!found) return null;
+  }
+
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  MAX_HITS_PER_TRANSCRIPT,
+  normalizeToken,
+  parseQuery,
+  searchTranscript
+};
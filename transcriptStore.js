@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const audioService = require('./audioService');
+const { MAX_HITS_PER_TRANSCRIPT, parseQuery, searchTranscript } = require('./transcriptSearch');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Fields a client may change through update()
+const UPDATABLE_FIELDS = ['title', 'speakerNames'];
+
+// Flat-file transcript storage shared by index.js and apps/api.
+// Layout: <dataDir>/<id>/transcript.json plus <dataDir>/<id>/audio.<ext>.
+// Reads always go to disk so both servers see each other's writes.
+class TranscriptStore {
+  constructor({ dataDir } = {}) {
+    this.dataDir = dataDir
+      || process.env.TRANSCRIPTS_DIR
+      || path.join(__dirname, 'data', 'transcripts');
+  }
+
+  // Save a transcription result (and its audio) as a new transcript
+  async create({ result, audioBuffer = null, title = null, source = 'recording', ownerId = null, metadata = {} }) {
+    const id = randomUUID();
+    const dir = this.transcriptDir(id);
+    const now = new Date().toISOString();
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    let audio = null;
+    if (audioBuffer && audioBuffer.length > 0) {
+      const format = audioService.detectFormat(audioBuffer);
+      const filename = `audio.${format?.extension || 'bin'}`;
+      await fs.promises.writeFile(path.join(dir, filename), audioBuffer);
+      audio = {
+        filename,
+        container: format?.container || null,
+        size: audioBuffer.length
+      };
+    }
+
+    const transcript = {
+      id,
+      title: title || `Recording ${now.replace('T', ' ').slice(0, 16)}`,
+      source,
+      ownerId,
+      createdAt: now,
+      updatedAt: now,
+      language: result.language || null,
+      languageProbability: result.languageProbability ?? null,
+      pipeline: result.pipeline || null,
+      provider: result.provider || null,
+      duration: result.duration || 0,
+      confidence: result.confidence ?? null,
+      confidenceDetails: result.confidenceDetails || null,
+      text: result.text || '',
+      segments: result.segments || [],
+      speakers: result.speakers || [],
+      speakerNames: result.speakerNames || {},
+      diarization: result.diarization || [],
+      raw: result.raw?.markdown ? { markdown: result.raw.markdown } : null,
+      postProcessing: result.postProcessing || null,
+      audio,
+      metadata
+    };
+
+    await this.write(transcript);
+    return transcript;
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    try {
+      const data = await fs.promises.readFile(path.join(this.transcriptDir(id), 'transcript.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // All transcripts, newest first; with ownerId only that user's
+  async all({ ownerId } = {}) {
+    let ids;
+    try {
+      ids = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const transcripts = await Promise.all(ids.filter(id => ID_PATTERN.test(id)).map(id => this.get(id)));
+    return transcripts
+      .filter(Boolean)
+      .filter(transcript => ownerId === undefined || transcript.ownerId === ownerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Paged summaries (no segments), optionally filtered by language or free text
+  async list({ ownerId, language, query, limit = 50, offset = 0 } = {}) {
+    let transcripts = await this.all({ ownerId });
+
+    if (language) {
+      transcripts = transcripts.filter(transcript => transcript.language === language);
+    }
+
+    if (query) {
+      const needle = query.toLowerCase();
+      transcripts = transcripts.filter(transcript =>
+        transcript.title.toLowerCase().includes(needle)
+        || this.plainText(transcript).toLowerCase().includes(needle)
+      );
+    }
+
+    return {
+      total: transcripts.length,
+      transcripts: transcripts.slice(offset, offset + limit).map(transcript => this.summarize(transcript))
+    };
+  }
+
+  /**
+   * Search segments across all transcripts.
+   * @param {Object} params
+   * @param {string} params.query - Words and "quoted phrases"; every term must occur
+   * @param {string} [params.ownerId] - Only this user's transcripts
+   * @param {string} [params.speaker] - Raw speaker label or display name
+   * @param {string} [params.language]
+   * @param {Date} [params.from] - Only transcripts created at or after this time
+   * @param {Date} [params.to] - Only transcripts created before this time
+   * @returns {Promise<{ total: number, results: Object[] }>} Results ordered by hit count, then newest first
+   */
+  async search({ query, ownerId, speaker, language, from, to, limit = 20, offset = 0 }) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const results = [];
+    for (const transcript of await this.all({ ownerId })) {
+      const createdAt = new Date(transcript.createdAt);
+      if (language && transcript.language !== language) continue;
+      if (from && createdAt < from) continue;
+      if (to && createdAt >= to) continue;
+
+      const hits = searchTranscript(transcript, terms, { speaker });
+      if (!hits) continue;
+
+      results.push({
+        transcript: this.summarize(transcript),
+        hitCount: hits.length,
+        hits: hits.slice(0, MAX_HITS_PER_TRANSCRIPT)
+      });
+    }
+
+    // all() is newest first and sort() is stable
+    results.sort((a, b) => b.hitCount - a.hitCount);
+
+    return {
+      total: results.length,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+
+  async update(id, changes) {
+    const transcript = await this.get(id);
+    if (!transcript) return null;
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        transcript[field] = changes[field];
+      }
+    }
+
+    transcript.updatedAt = new Date().toISOString();
+    await this.write(transcript);
+    return transcript;
+  }
+
+  async delete(id) {
+    if (!ID_PATTERN.test(id) || !(await this.get(id))) return false;
+
+    await fs.promises.rm(this.transcriptDir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  getAudioPath(transcript) {
+    return transcript.audio ? path.join(this.transcriptDir(transcript.id), transcript.audio.filename) : null;
+  }
+
+  // Transcript text without Markdown speaker headers
+  plainText(transcript) {
+    if (transcript.segments.length > 0) {
+      return transcript.segments.map(segment => segment.word ?? segment.text).join(' ');
+    }
+    return transcript.text;
+  }
+
+  summarize(transcript) {
+    const { segments: _segments, diarization: _diarization, raw: _raw, text: _text, ...summary } = transcript;
+    const plain = this.plainText(transcript);
+    return {
+      ...summary,
+      wordCount: plain.split(/\s+/).filter(Boolean).length,
+      excerpt: plain.length > 200 ? `${plain.slice(0, 200)}…` : plain
+    };
+  }
+
+  transcriptDir(id) {
+    return path.join(this.dataDir, id);
+  }
+
+  // Write via a temp file so a crash never leaves a half-written transcript
+  async write(transcript) {
+    const target = path.join(this.transcriptDir(transcript.id), 'transcript.json');
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(transcript, null, 2));
+    await fs.promises.rename(temp, target);
+  }
+}
+
+module.exports = TranscriptStore;
@@ -0,0 +1,96 @@
+// Error codes shared by every transcription path. The Python pipeline reports the
+// same codes in its `{ success: false, code, error }` output, and clients key their
+// messages on them, so treat the values as a stable API.
+const ERROR_CODES = {
+  MISSING_HF_TOKEN: 'MISSING_HF_TOKEN', // diarization needs a HuggingFace token
+  MODEL_LOAD_FAILED: 'MODEL_LOAD_FAILED', // Whisper or pyannote could not be loaded
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT', // audio could not be recognized or decoded
+  UNSUPPORTED_LANGUAGE: 'UNSUPPORTED_LANGUAGE',
+  AUDIO_TOO_LONG: 'AUDIO_TOO_LONG', // over MAX_RECORDING_DURATION or a provider's limit
+  AUDIO_TOO_LARGE: 'AUDIO_TOO_LARGE', // over MAX_UPLOAD_BYTES
+  EMPTY_AUDIO: 'EMPTY_AUDIO', // no bytes, or no samples after decoding
+  SILENT_AUDIO: 'SILENT_AUDIO', // decodes, but below SILENCE_THRESHOLD_DB throughout
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE', // no provider could be reached or started
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  UNAUTHORIZED: 'UNAUTHORIZED', // missing, invalid or expired token
+  RATE_LIMITED: 'RATE_LIMITED', // over API_RATE_LIMIT for the user or IP
+  UNKNOWN_RULE_SET: 'UNKNOWN_RULE_SET', // the requested post-processing rule set does not exist
+  INVALID_OPTION: 'INVALID_OPTION', // a request option such as disfluencies or timeout has a bad value
+  TRANSCRIPTION_FAILED: 'TRANSCRIPTION_FAILED' // anything not covered above
+};
+
+// REST status for each code
+const HTTP_STATUS = {
+  MISSING_HF_TOKEN: 503,
+  MODEL_LOAD_FAILED: 503,
+  UNSUPPORTED_FORMAT: 415,
+  UNSUPPORTED_LANGUAGE: 400,
+  AUDIO_TOO_LONG: 413,
+  AUDIO_TOO_LARGE: 413,
+  EMPTY_AUDIO: 422,
+  SILENT_AUDIO: 422,
+  PROVIDER_UNAVAILABLE: 503,
+  TIMEOUT: 504,
+  CANCELLED: 499,
+  UNAUTHORIZED: 401,
+  RATE_LIMITED: 429,
+  UNKNOWN_RULE_SET: 400,
+  INVALID_OPTION: 400,
+  TRANSCRIPTION_FAILED: 500
+};
+
+class TranscriptionError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Technical detail for logs and API consumers
+   * @param {Object} [options]
+   * @param {Error} [options.cause] - Underlying error
+   * @param {string} [options.provider] - Provider that raised it
+   */
+  constructor(code, message, { cause, provider } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'TranscriptionError';
+    this.code = ERROR_CODES[code] ? code : ERROR_CODES.TRANSCRIPTION_FAILED;
+    this.provider = provider || null;
+  }
+
+  get status() {
+    return HTTP_STATUS[this.code];
+  }
+}
+
+const hasKnownCode = (error) => Boolean(error && ERROR_CODES[error.code]);
+
+// Give any error a code: typed errors pass through, aborts map to TIMEOUT/CANCELLED
+function toTranscriptionError(error) {
+  if (error instanceof TranscriptionError) return error;
+
+  if (error?.name === 'TimeoutError') {
+    return new TranscriptionError(ERROR_CODES.TIMEOUT, error.message, { cause: error });
+  }
+  if (error?.name === 'AbortError') {
+    return new TranscriptionError(ERROR_CODES.CANCELLED, error.message, { cause: error });
+  }
+
+  const code = hasKnownCode(error) ? error.code : ERROR_CODES.TRANSCRIPTION_FAILED;
+  return new TranscriptionError(code, error?.message || String(error), { cause: error });
+}
+
+// Payload for socket events and REST error bodies: { code, error }
+function serializeError(error) {
+  const typed = toTranscriptionError(error);
+  return { code: typed.code, error: typed.message };
+}
+
+function httpStatusFor(error) {
+  return toTranscriptionError(error).status;
+}
+
+module.exports = {
+  ERROR_CODES,
+  TranscriptionError,
+  toTranscriptionError,
+  serializeError,
+  httpStatusFor
+};
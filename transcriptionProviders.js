@@ -0,0 +1,237 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+const PythonTranscriptionService = require('./pythonTranscriptionService');
+const { logprobToConfidence, scoreTranscription } = require('./confidenceScorer');
+const { AUTO_LANGUAGE, SUPPORTED_LANGUAGES, toLanguageCode } = require('./languages');
+const { createAbortError, throwIfAborted } = require('./abortUtils');
+const { ERROR_CODES, TranscriptionError } = require('./transcriptionErrors');
+const tempFiles = require('./tempFileManager');
+
+/**
+ * A transcription provider is any object registered with
+ * TranscriptionService.registerProvider() that implements:
+ *
+ *   name                                  unique id used in fallback orders
+ *   capabilities                          static feature flags (see below)
+ *   transcribe(audioBuffer, options)      resolves to a transcription result
+ *   isAvailable()                         resolves to true if it can be used now
+ *   getStatus()                           resolves to a health/config object
+ *   shutdown()                            optional; releases processes/handles
+ *
+ * capabilities: { local, diarization, wordTimestamps, languages }
+ * where `languages` is an array of codes or '*' for any language.
+ * options.language is a supported code or 'auto'; with 'auto' the result's
+ * `language` is the detected code and `languageProbability` its probability (or null).
+ * options.prompt is a Whisper initial prompt (vocabulary to bias spelling towards), or undefined.
+ * options.signal is an AbortSignal; providers stop their work (requests, child
+ * processes) when it aborts and reject.
+ * Failures should be TranscriptionErrors with one of ERROR_CODES, so callers can
+ * tell a missing model from unreadable audio.
+ */
+
+// Local whisper-timestamped + pyannote pipeline
+class PythonProvider {
+  constructor(service = new PythonTranscriptionService()) {
+    this.name = 'python';
+    this.service = service;
+    this.capabilities = {
+      local: true,
+      diarization: true,
+      wordTimestamps: true,
+      languages: SUPPORTED_LANGUAGES
+    };
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    return this.service.transcribeAudio(audioBuffer, options);
+  }
+
+  async isAvailable() {
+    return this.service.isAvailable();
+  }
+
+  async getStatus() {
+    return this.service.getStatus();
+  }
+
+  shutdown() {
+    this.service.shutdown();
+  }
+}
+
+// OpenAI Whisper API
+class OpenAIProvider {
+  constructor(apiKey = process.env.OPENAI_API_KEY) {
+    this.name = 'openai';
+    this.client = apiKey ? new OpenAI({ apiKey }) : null;
+    this.capabilities = {
+      local: false,
+      diarization: false,
+      wordTimestamps: false,
+      languages: '*'
+    };
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    if (!this.client) {
+      throw new TranscriptionError(ERROR_CODES.PROVIDER_UNAVAILABLE, 'OpenAI API key not configured', { provider: this.name });
+    }
+
+    const {
+      language = 'en',
+      responseFormat = 'verbose_json', // segments carry avg_logprob for confidence
+      temperature = 0,
+      prompt,
+      signal
+    } = options;
+
+    throwIfAborted(signal);
+
+    try {
+      // The SDK uploads from a file stream; the temp file is removed however the request ends
+      const response = await tempFiles.withFile(audioBuffer, { prefix: 'openai', extension: 'wav' }, tempFilePath =>
+        // Call OpenAI Whisper API; leaving out the language makes it detect one
+        this.client.audio.transcriptions.create({
+          file: fs.createReadStream(tempFilePath),
+          model: 'whisper-1',
+          ...(language === AUTO_LANGUAGE ? {} : { language }),
+          ...(prompt ? { prompt } : {}),
+          response_format: responseFormat,
+          temperature: temperature
+        }, { signal })
+      );
+
+      // Put each segment's log-probability on the same scale as the pipeline's word confidence
+      const segments = (response.segments || []).map(segment => ({
+        ...segment,
+        confidence: logprobToConfidence(segment.avg_logprob, segment.no_speech_prob)
+      }));
+
+      return {
+        text: response.text,
+        // verbose_json reports the language by name ("swedish"), without a probability
+        language: toLanguageCode(response.language) || (language === AUTO_LANGUAGE ? null : language),
+        languageProbability: null,
+        duration: response.duration || null,
+        segments,
+        speakers: [],
+        ...scoreTranscription(segments),
+        pipeline: 'openai-whisper'
+      };
+
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError(signal);
+      console.error('OpenAI transcription error:', error);
+      throw this.toTranscriptionError(error);
+    }
+  }
+
+  // Map OpenAI SDK errors onto ERROR_CODES
+  toTranscriptionError(error) {
+    if (error instanceof TranscriptionError) return error;
+
+    let code = ERROR_CODES.TRANSCRIPTION_FAILED;
+
+    if (error instanceof OpenAI.APIConnectionTimeoutError) {
+      code = ERROR_CODES.TIMEOUT;
+    } else if (error instanceof OpenAI.APIConnectionError) {
+      code = ERROR_CODES.PROVIDER_UNAVAILABLE;
+    } else if (error instanceof OpenAI.APIError) {
+      if (error.status === 413) {
+        code = ERROR_CODES.AUDIO_TOO_LONG; // the API caps uploads at 25 MB
+      } else if (error.status === 400 && /format|decode/i.test(error.message)) {
+        code = ERROR_CODES.UNSUPPORTED_FORMAT;
+      } else if ([401, 403, 404, 429].includes(error.status) || error.status >= 500) {
+        code = ERROR_CODES.PROVIDER_UNAVAILABLE;
+      }
+    }
+
+    return new TranscriptionError(code, `OpenAI transcription failed: ${error.message}`, { cause: error, provider: this.name });
+  }
+
+  async isAvailable() {
+    return !!this.client;
+  }
+
+  async getStatus() {
+    return {
+      available: !!this.client,
+      apiKeyConfigured: !!this.client,
+      model: 'whisper-1',
+      service: 'openai-whisper'
+    };
+  }
+}
+
+// Canned responses for development/testing
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.capabilities = {
+      local: true,
+      diarization: false,
+      wordTimestamps: false,
+      languages: '*'
+    };
+  }
+
+  transcribe(audioBuffer, options = {}) {
+    const mockResponses = [
+      "Hello, this is a test transcription of the audio.",
+      "The audio transcription feature is working correctly.",
+      "This is sample text that would normally come from speech recognition.",
+      "Audio processing and transcription is now active.",
+      "Testing the real-time transcription capabilities."
+    ];
+
+    // Simulate processing time
+    const randomDelay = Math.random() * 2000 + 1000; // 1-3 seconds
+
+    return new Promise((resolve, reject) => {
+      const { signal } = options;
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        const randomResponse = mockResponses[Math.floor(Math.random() * mockResponses.length)];
+        resolve({
+          text: randomResponse,
+          language: !options.language || options.language === AUTO_LANGUAGE ? 'en' : options.language,
+          languageProbability: null,
+          duration: audioBuffer.length / 16000, // Rough estimate
+          confidence: null, // no recognizer, so nothing to score
+          segments: [],
+          speakers: [],
+          pipeline: 'mock',
+          mock: true
+        });
+      }, randomDelay);
+    });
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async getStatus() {
+    return {
+      available: true,
+      service: 'mock'
+    };
+  }
+}
+
+module.exports = {
+  PythonProvider,
+  OpenAIProvider,
+  MockProvider
+};
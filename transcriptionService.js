@@ -1,265 +1,493 @@
-const OpenAI = require('openai');
-const fs = require('fs');
-const path = require('path');
-const PythonTranscriptionService = require('./pythonTranscriptionService');
+const {
+  PythonProvider,
+  OpenAIProvider,
+  MockProvider
+} = require('./transcriptionProviders');
+const audioService = require('./audioService');
+const tempFiles = require('./tempFileManager');
+const { scoreTranscription } = require('./confidenceScorer');
+const { SUPPORTED_LANGUAGES, validateLanguage } = require('./languages');
+const { DEFAULT_BATCH_CONCURRENCY, runBatch } = require('./batchRunner');
+const { createAbortError, isAbortError, throwIfAborted, withTimeout } = require('./abortUtils');
+const { ERROR_CODES, TranscriptionError, toTranscriptionError } = require('./transcriptionErrors');
+const { exportTranscript, formatSpeakerMarkdown, EXPORT_FORMATS } = require('./subtitleExporter');
+const { buildTurns, summarizeSpeakers } = require('./speakerTurns');
+const { reconstructText } = require('./textReconstruction');
+const { analyzeMeeting, toAnalyticsCsv } = require('./meetingAnalytics');
+const { validateAudio } = require('./audioValidator');
+const { applyDisfluencyMode, applyRules, applyRulesToText, buildInitialPrompt, validateDisfluencyMode } = require('./postProcessor');
+
+// Used when neither the request nor TRANSCRIPTION_PROVIDERS names an order
+const DEFAULT_FALLBACK_ORDER = ['python', 'openai'];
+
+// Upper bound for one transcribeAudio() call, including fallbacks (TRANSCRIPTION_TIMEOUT_MS=0 disables it)
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
 
 class TranscriptionService {
   constructor() {
-    // Initialize services
-    this.pythonService = new PythonTranscriptionService();
+    // Provider registry, keyed by provider name
+    this.providers = new Map();
 
-    // Initialize OpenAI client if API key is available (fallback)
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-      this.useOpenAI = true;
-    } else {
-      this.useOpenAI = false;
+    const pythonProvider = new PythonProvider();
+    this.pythonService = pythonProvider.service;
+
+    this.registerProvider(pythonProvider);
+    this.registerProvider(new OpenAIProvider());
+    this.registerProvider(new MockProvider());
+
+    if (!process.env.OPENAI_API_KEY) {
       console.log('ℹ️ OpenAI API key not found. Will use local Python pipeline only.');
     }
 
-    this.preferredService = 'python'; // Use Python pipeline as preferred method
+    // Fallback order can be overridden per environment, e.g. TRANSCRIPTION_PROVIDERS=openai,python
+    this.fallbackOrder = process.env.TRANSCRIPTION_PROVIDERS
+      ? process.env.TRANSCRIPTION_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+      : DEFAULT_FALLBACK_ORDER;
+
+    this.timeout = process.env.TRANSCRIPTION_TIMEOUT_MS !== undefined
+      ? parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS, 10) || 0
+      : DEFAULT_TIMEOUT_MS;
+  }
+
+  get preferredService() {
+    return this.fallbackOrder[0];
+  }
+
+  // Register a provider; replaces any provider with the same name
+  registerProvider(provider) {
+    const missing = ['name', 'capabilities', 'transcribe', 'isAvailable', 'getStatus']
+      .filter(member => !provider[member]);
+
+    if (missing.length > 0) {
+      throw new Error(`Invalid transcription provider: missing ${missing.join(', ')}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregisterProvider(name) {
+    return this.providers.delete(name);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name);
   }
 
-  // Main transcription method
+  // Resolve the provider order for a request: options.providers > options.provider > env/default
+  resolveFallbackOrder(options = {}) {
+    let order = this.fallbackOrder;
+
+    if (Array.isArray(options.providers) && options.providers.length > 0) {
+      order = options.providers;
+    } else if (options.provider) {
+      order = [options.provider];
+    }
+
+    const unknown = order.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      console.warn('⚠️ Ignoring unknown transcription providers:', unknown.join(', '));
+    }
+
+    return order.filter(name => this.providers.has(name));
+  }
+
+  // Main transcription method: try each provider in order until one succeeds
+  // options.signal (AbortSignal) cancels it and options.timeout (ms, 0 = none) overrides the global
+  // timeout; both reject with an AbortError/TimeoutError and stop any spawned process.
+  // Every failure is a TranscriptionError whose `code` is one of ERROR_CODES.
+  // options.ruleSet ({ id, name, vocabulary, rules }, see postProcessor.js) prompts Whisper
+  // with the vocabulary and applies the replacement rules to the result; options.disfluencies
+  // (verbatim, clean or mark) decides what happens to fillers and repeated words.
+  // options.validate runs validateAudio() (duration and silence) first, under the same timeout.
   async transcribeAudio(audioBuffer, options = {}) {
-    try {
-      // Try Python pipeline first (preferred method)
-      if (this.preferredService === 'python') {
-        try {
-          const pythonResult = await this.pythonService.transcribeAudio(audioBuffer, options);
-          console.log('✅ Used Python local pipeline for transcription');
-          return pythonResult;
-        } catch (pythonError) {
-          console.warn('⚠️ Python pipeline failed, falling back to OpenAI:', pythonError.message);
-
-          // Fall back to OpenAI if available
-          if (this.useOpenAI) {
-            const openaiResult = await this.transcribeWithOpenAI(audioBuffer, options);
-            console.log('✅ Used OpenAI API as fallback');
-            return openaiResult;
-          } else {
-            // No fallback available, throw the original Python error
-            throw pythonError;
-          }
-        }
-      }
+    // Reject unknown languages up front instead of letting every provider fail on them
+    const language = validateLanguage(options.language);
+    validateDisfluencyMode(options.disfluencies);
 
-      // Fallback to OpenAI if Python is not preferred
-      if (this.useOpenAI) {
-        return await this.transcribeWithOpenAI(audioBuffer, options);
-      } else {
-        return this.getMockTranscription(audioBuffer, options);
-      }
-    } catch (error) {
-      console.error('Transcription error:', error);
-      throw new Error(`Transcription failed: ${error.message}`);
+    const order = this.resolveFallbackOrder(options);
+
+    if (order.length === 0) {
+      throw new TranscriptionError(
+        ERROR_CODES.PROVIDER_UNAVAILABLE,
+        'Transcription failed: no registered transcription provider matches the requested order'
+      );
+    }
+
+    const { signal, cleanup } = withTimeout(options.signal, options.timeout ?? this.timeout);
+
+    const prompt = buildInitialPrompt(options.ruleSet?.vocabulary) || undefined;
+
+    try {
+      // validateAudio() already decoded to 16 kHz mono WAV; providers take that as is
+      const wav = options.validate ? (await validateAudio(audioBuffer, { signal })).wav : undefined;
+      const result = await this.transcribeWithFallback(wav || audioBuffer, order, {
+        ...options,
+        language,
+        prompt,
+        signal,
+        normalized: Boolean(wav)
+      });
+      return this.postProcess(result, options);
+    } finally {
+      cleanup();
     }
   }
 
-  // Transcribe using OpenAI Whisper API
-  async transcribeWithOpenAI(audioBuffer, options = {}) {
-    const {
-      language = 'en',
-      responseFormat = 'json',
-      temperature = 0
-    } = options;
+  async transcribeWithFallback(audioBuffer, order, options) {
+    const { language, signal } = options;
 
+    // Every provider receives 16 kHz mono PCM WAV regardless of what the client recorded
+    let wavBuffer = options.normalized ? audioBuffer : null;
     try {
-      // Create a temporary file for the audio
-      const tempFileName = `temp_audio_${Date.now()}.wav`;
-      const tempFilePath = path.join(__dirname, 'temp', tempFileName);
+      wavBuffer ||= await audioService.convertToWav(audioBuffer, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('Audio conversion error:', error.message);
+      throw new TranscriptionError(toTranscriptionError(error).code, `Transcription failed: ${error.message}`, { cause: error });
+    }
 
-      // Ensure temp directory exists
-      if (!fs.existsSync(path.join(__dirname, 'temp'))) {
-        fs.mkdirSync(path.join(__dirname, 'temp'));
+    const errors = [];
+
+    for (const name of order) {
+      throwIfAborted(signal);
+      const provider = this.providers.get(name);
+
+      if (!this.supportsLanguage(provider, language)) {
+        const error = new TranscriptionError(
+          ERROR_CODES.UNSUPPORTED_LANGUAGE,
+          `${name} provider does not support language "${language}"`,
+          { provider: name }
+        );
+        errors.push(error);
+        console.warn(`⚠️ Skipping ${name} provider:`, error.message);
+        continue;
       }
 
-      // Write audio buffer to temporary file
-      fs.writeFileSync(tempFilePath, audioBuffer);
+      try {
+        const result = await provider.transcribe(wavBuffer, options);
+        console.log(`✅ Used ${name} provider for transcription`);
 
-      // Create read stream for OpenAI
-      const audioReadStream = fs.createReadStream(tempFilePath);
+        // Providers score with the default threshold; re-flag spans if the request set its own
+        if (options.lowConfidenceThreshold !== undefined) {
+          Object.assign(result, this.scoreConfidence(result, { lowConfidenceThreshold: options.lowConfidenceThreshold }));
+        }
 
-      // Call OpenAI Whisper API
-      const response = await this.openai.audio.transcriptions.create({
-        file: audioReadStream,
-        model: 'whisper-1',
-        language: language,
-        response_format: responseFormat,
-        temperature: temperature
-      });
+        return { provider: name, ...result };
+      } catch (error) {
+        // A cancelled or timed-out request must not fall through to the next provider
+        if (signal.aborted) {
+          console.warn(`⚠️ ${name} provider stopped:`, createAbortError(signal).message);
+          throw createAbortError(signal);
+        }
 
-      // Clean up temporary file
-      fs.unlinkSync(tempFilePath);
+        errors.push(toTranscriptionError(error));
+        console.warn(`⚠️ ${name} provider failed:`, error.message);
+      }
+    }
 
-      return {
-        text: response.text,
-        language: response.language || language,
-        duration: response.duration || null,
-        segments: response.segments || null,
-        confidence: this.calculateConfidence(response.text)
-      };
+    // Report the first provider that got far enough to say what went wrong, e.g. a python
+    // MISSING_HF_TOKEN rather than openai's missing API key behind it
+    const reported = errors.find(error => error.code !== ERROR_CODES.PROVIDER_UNAVAILABLE) || errors[errors.length - 1];
+    console.error('Transcription error:', reported);
+    throw new TranscriptionError(reported.code, `Transcription failed: ${reported.message}`, {
+      cause: reported,
+      provider: reported.provider
+    });
+  }
 
-    } catch (error) {
-      console.error('OpenAI transcription error:', error);
-      throw error;
-    }
+  // Transcribe using OpenAI Whisper API
+  async transcribeWithOpenAI(audioBuffer, options = {}) {
+    return this.providers.get('openai').transcribe(audioBuffer, options);
   }
 
   // Mock transcription for development/testing
   getMockTranscription(audioBuffer, options = {}) {
-    const mockResponses = [
-      "Hello, this is a test transcription of the audio.",
-      "The audio transcription feature is working correctly.",
-      "This is sample text that would normally come from speech recognition.",
-      "Audio processing and transcription is now active.",
-      "Testing the real-time transcription capabilities."
-    ];
-
-    // Simulate processing time
-    const randomDelay = Math.random() * 2000 + 1000; // 1-3 seconds
-
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const randomResponse = mockResponses[Math.floor(Math.random() * mockResponses.length)];
-        resolve({
-          text: randomResponse,
-          language: options.language || 'en',
-          duration: audioBuffer.length / 16000, // Rough estimate
-          confidence: Math.random() * 0.3 + 0.7, // 70-100% confidence
-          mock: true
-        });
-      }, randomDelay);
-    });
+    return this.providers.get('mock').transcribe(audioBuffer, options);
   }
 
-  // Calculate confidence score based on text characteristics
-  calculateConfidence(text) {
-    if (!text || text.length === 0) return 0;
-
-    let confidence = 0.5; // Base confidence
+  // Handle disfluencies (options.disfluencies), then apply options.ruleSet's replacement
+  // rules. Word timings are kept (dropped words leave a gap, words a rule joins are merged);
+  // text and confidence are rebuilt from the new segments. The result records what ran and
+  // what it changed in `postProcessing`.
+  postProcess(result, options = {}) {
+    const { ruleSet, disfluencies = 'verbatim' } = options;
+    if (!ruleSet && disfluencies === 'verbatim') return result;
+
+    const cleaned = this.applyDisfluencies(result, disfluencies);
+    const postProcessing = {
+      disfluencies,
+      removed: cleaned.removed,
+      marked: cleaned.marked,
+      ruleSet: ruleSet ? { id: ruleSet.id || null, name: ruleSet.name || null } : null,
+      replacements: 0
+    };
+    const rules = ruleSet?.rules || [];
 
-    // Longer text tends to have higher confidence
-    confidence += Math.min(text.length / 100, 0.3);
+    // Results without timings (e.g. the mock provider) only have text to work on
+    if (!result.segments?.length) {
+      const { text, count } = applyRulesToText(cleaned.text, rules);
+      return { ...result, text, postProcessing: { ...postProcessing, replacements: count } };
+    }
 
-    // Text with proper punctuation might indicate clearer speech
-    const punctuationCount = (text.match(/[.,!?;]/g) || []).length;
-    confidence += Math.min(punctuationCount * 0.1, 0.2);
+    const { segments, count } = applyRules(cleaned.segments, rules);
+    postProcessing.replacements = count;
+    if (cleaned.removed + cleaned.marked + count === 0) {
+      return { ...result, postProcessing };
+    }
 
-    return Math.min(confidence, 1.0);
+    return {
+      ...result,
+      segments,
+      text: this.buildText(segments),
+      ...this.scoreConfidence({ segments }, { lowConfidenceThreshold: options.lowConfidenceThreshold }),
+      ...(result.totalWords !== undefined ? { totalWords: segments.length } : {}),
+      postProcessing
+    };
   }
 
-  // Batch transcription for multiple audio files
-  async transcribeBatch(audioBuffers, options = {}) {
-    const results = [];
+  // A result's segments and text in a disfluency mode (verbatim, clean or mark), using the
+  // filler words of its language. Returns { segments, text, removed, marked }.
+  applyDisfluencies(result, mode = 'verbatim') {
+    const segments = result.segments || [];
+    const options = { language: result.language };
 
-    for (const audioBuffer of audioBuffers) {
-      try {
-        const result = await this.transcribeAudio(audioBuffer, options);
-        results.push({
-          success: true,
-          result
-        });
-      } catch (error) {
-        results.push({
-          success: false,
-          error: error.message
-        });
-      }
+    if (segments.length > 0) {
+      const applied = applyDisfluencyMode(segments, mode, options);
+      return { ...applied, text: applied.segments === segments ? result.text || '' : this.buildText(applied.segments) };
     }
 
-    return results;
+    // Text-only results are handled as one untimed segment
+    const applied = applyDisfluencyMode([{ text: result.text || '' }], mode, options);
+    return { segments, text: applied.segments[0]?.text || '', removed: applied.removed, marked: applied.marked };
+  }
+
+  // Result text from segments: punctuated paragraphs split on speaker changes and long pauses
+  buildText(segments) {
+    return reconstructText(segments);
+  }
+
+  // Duration-weighted confidence of a result's segments (null when they carry none)
+  calculateConfidence(result) {
+    return scoreTranscription(result.segments || []).confidence;
+  }
+
+  // Confidence per segment and speaker plus low-confidence spans, e.g. for an updated threshold
+  scoreConfidence(result, options = {}) {
+    return scoreTranscription(result.segments || [], options);
+  }
+
+  // Batch transcription for multiple audio files. Besides the transcription options it takes
+  // concurrency (default BATCH_CONCURRENCY or 2), onProgress(event) and an AbortSignal (signal);
+  // see runBatch() for the event and result shapes. Failed items don't fail the batch.
+  async transcribeBatch(audioBuffers, options = {}) {
+    const { concurrency, signal, onProgress, ...transcriptionOptions } = options;
+
+    return runBatch(
+      audioBuffers,
+      audioBuffer => this.transcribeAudio(audioBuffer, { ...transcriptionOptions, signal }),
+      {
+        concurrency: concurrency || parseInt(process.env.BATCH_CONCURRENCY, 10) || DEFAULT_BATCH_CONCURRENCY,
+        signal,
+        onProgress
+      }
+    );
   }
 
   // Get supported languages
   getSupportedLanguages() {
-    return [
-      'en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh',
-      'ar', 'hi', 'nl', 'pl', 'tr', 'sv', 'da', 'no', 'fi', 'he',
-      'th', 'cs', 'hu', 'el', 'bg', 'hr', 'sk', 'sl', 'et', 'lv',
-      'lt', 'mt', 'ro', 'sq', 'bs', 'mk', 'sr', 'uk', 'ka', 'hy'
-    ];
+    return [...SUPPORTED_LANGUAGES];
+  }
+
+  // 'auto' and "no language given" work with every provider
+  supportsLanguage(provider, language) {
+    const { languages } = provider.capabilities;
+    return !language || language === 'auto' || languages === '*' || languages.includes(language);
   }
 
-  // Extract speaker information from transcription result
-  extractSpeakerInfo(result) {
+  // Speaker turns and per-speaker statistics (talk time, words per minute, longest
+  // turn, and overlaps and interruptions when the result has diarization turns),
+  // see speakerTurns.js. options: maxPause
+  extractSpeakerInfo(result, options = {}) {
     if (!result.segments || !Array.isArray(result.segments)) {
       return {
         speakers: [],
         speakerCount: 0,
-        speakerSegments: {}
+        speakerSegments: {},
+        speakerStats: [],
+        turns: []
       };
     }
 
-    const speakers = [...new Set(result.segments.map(s => s.speaker).filter(s => s && s !== 'Unknown'))];
-    const speakerSegments = {};
+    const turns = buildTurns(result.segments, { ...options, speakerNames: result.speakerNames || {} });
+    const speakerStats = summarizeSpeakers(turns, { diarization: result.diarization });
+    const speakers = speakerStats.map(stat => stat.speaker);
 
-    // Group segments by speaker
+    // Raw segments by speaker label
+    const speakerSegments = {};
     result.segments.forEach(segment => {
       if (segment.speaker && segment.speaker !== 'Unknown') {
-        if (!speakerSegments[segment.speaker]) {
-          speakerSegments[segment.speaker] = [];
-        }
-        speakerSegments[segment.speaker].push(segment);
+        (speakerSegments[segment.speaker] ||= []).push(segment);
       }
     });
 
-    // Calculate speaker statistics
-    const speakerStats = speakers.map(speaker => ({
-      speaker,
-      wordCount: speakerSegments[speaker].length,
-      startTime: Math.min(...speakerSegments[speaker].map(s => s.start)),
-      endTime: Math.max(...speakerSegments[speaker].map(s => s.end)),
-      duration: Math.max(...speakerSegments[speaker].map(s => s.end)) - Math.min(...speakerSegments[speaker].map(s => s.start))
-    }));
-
     return {
       speakers,
       speakerCount: speakers.length,
       speakerSegments,
-      speakerStats
+      speakerStats,
+      turns
     };
   }
 
+  // Rename speakers on a result, e.g. { SPEAKER_00: 'Anna' }. Segments keep their raw
+  // labels; names are applied whenever the result is formatted or exported, so they
+  // survive re-exports. An empty name restores the original label.
+  renameSpeakers(result, renames = {}) {
+    const labels = new Set([
+      ...(result.speakers || []),
+      ...(result.segments || []).map(segment => segment.speaker)
+    ]);
+    const speakerNames = { ...(result.speakerNames || {}) };
+
+    for (const [label, name] of Object.entries(renames)) {
+      if (!labels.has(label)) {
+        throw new Error(`Unknown speaker "${label}"`);
+      }
+
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (trimmed.length > 100) {
+        throw new Error(`Speaker name for "${label}" is longer than 100 characters`);
+      }
+
+      if (trimmed && trimmed !== label) {
+        speakerNames[label] = trimmed;
+      } else {
+        delete speakerNames[label];
+      }
+    }
+
+    return { ...result, speakerNames };
+  }
+
+  // Display name for a raw speaker label
+  getSpeakerName(result, label) {
+    return result.speakerNames?.[label] || label;
+  }
+
   // Format transcription result for display
-  formatTranscriptionResult(result, format = 'text') {
+  formatTranscriptionResult(result, format = 'text', options = {}) {
     if (format === 'markdown' && result.raw?.markdown) {
-      return result.raw.markdown;
+      if (result.segments?.length) {
+        return formatSpeakerMarkdown(result);
+      }
+
+      // Markdown-only pipeline output: headers look like "**SPEAKER_00  00:00:00.000-..."
+      return Object.entries(result.speakerNames || {}).reduce(
+        (markdown, [label, name]) => markdown.split(`**${label}  `).join(`**${name}  `),
+        result.raw.markdown
+      );
+    }
+
+    if (EXPORT_FORMATS[format]) {
+      return exportTranscript(result, format, options).content;
     }
 
     if (format === 'speakers' && result.speakers) {
       const speakerInfo = this.extractSpeakerInfo(result);
       return speakerInfo.speakerStats.map(stat =>
-        `${stat.speaker}: ${stat.wordCount} words (${stat.duration.toFixed(1)}s)`
+        `${stat.name}: ${stat.wordCount} words in ${stat.turnCount} turns (${stat.talkTime.toFixed(1)}s)`
       ).join('\n');
     }
 
-    // Default text format
+    // Default text format; rebuilt when speakers were renamed so the paragraphs carry the names
+    if (result.segments?.length && Object.keys(result.speakerNames || {}).length > 0) {
+      return reconstructText(result.segments, { speakerNames: result.speakerNames });
+    }
     return result.text || '';
   }
 
+  // Export a result as a downloadable file (txt, md, srt, vtt, tsv or json).
+  // options: maxCueDuration, maxLineLength, maxLines, maxGap, splitOnSpeakerChange, and
+  // disfluencies (verbatim, clean or mark) to export e.g. a verbatim transcript cleaned up
+  exportTranscription(result, format, options = {}) {
+    const { disfluencies, ...cueOptions } = options;
+    if (!validateDisfluencyMode(disfluencies)) {
+      return exportTranscript(result, format, cueOptions);
+    }
+
+    const { segments, text } = this.applyDisfluencies(result, disfluencies);
+    return exportTranscript({ ...result, segments, text }, format, cueOptions);
+  }
+
+  // Meeting analytics (talk-time share, turn-taking, overlaps, silences, speaking
+  // rate over time), see meetingAnalytics.js. options: minSilence, rateWindow, maxPause
+  analyzeMeeting(result, options = {}) {
+    return analyzeMeeting(result, options);
+  }
+
+  // One analytics table (speakers, silences or rate) as CSV
+  exportAnalyticsCsv(report, table) {
+    return toAnalyticsCsv(report, table);
+  }
+
+  getExportFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
   // Check if service is properly configured
   async isConfigured() {
-    const pythonAvailable = await this.pythonService.isAvailable();
-    const openaiConfigured = this.useOpenAI && !!process.env.OPENAI_API_KEY;
+    for (const name of this.resolveFallbackOrder()) {
+      if (await this.providers.get(name).isAvailable()) {
+        return true;
+      }
+    }
 
-    return pythonAvailable || openaiConfigured;
+    return false;
   }
 
-  // Get detailed service status
+  // Get detailed service status for every registered provider
   async getServiceStatus() {
-    const pythonStatus = await this.pythonService.getStatus();
-    const openaiConfigured = this.useOpenAI && !!process.env.OPENAI_API_KEY;
+    const providers = {};
+
+    for (const [name, provider] of this.providers) {
+      try {
+        providers[name] = {
+          ...(await provider.getStatus()),
+          capabilities: provider.capabilities
+        };
+      } catch (error) {
+        providers[name] = {
+          available: false,
+          error: error.message,
+          capabilities: provider.capabilities
+        };
+      }
+    }
+
+    const fallbackOrder = this.resolveFallbackOrder();
 
     return {
       preferredService: this.preferredService,
-      pythonService: pythonStatus,
-      openaiConfigured,
-      overallConfigured: pythonStatus.available || openaiConfigured
+      fallbackOrder,
+      providers,
+      pythonService: providers.python,
+      openaiConfigured: !!providers.openai?.available,
+      overallConfigured: fallbackOrder.some(name => providers[name].available),
+      tempFiles: tempFiles.getStatus()
     };
   }
+
+  // Release provider resources such as persistent worker processes
+  shutdown() {
+    tempFiles.stop();
+
+    for (const provider of this.providers.values()) {
+      if (typeof provider.shutdown === 'function') {
+        provider.shutdown();
+      }
+    }
+  }
 }
 
 module.exports = TranscriptionService;
\ No newline at end of file
@@ -13,6 +13,7 @@ import os
 import sys
 import ssl
 from pathlib import Path
+import whisper
 import whisper_timestamped as wt
 from pyannote.audio import Pipeline
 import torch
@@ -21,6 +22,23 @@ import numpy as np
 # Handle SSL certificate issues
 ssl._create_default_https_context = ssl._create_unverified_context
 
+DEFAULT_LANGUAGE = "sv"
+AUTO_LANGUAGE = "auto"
+
+# Error codes, shared with ERROR_CODES in transcriptionErrors.js
+MISSING_HF_TOKEN = "MISSING_HF_TOKEN"
+MODEL_LOAD_FAILED = "MODEL_LOAD_FAILED"
+UNSUPPORTED_FORMAT = "UNSUPPORTED_FORMAT"
+TRANSCRIPTION_FAILED = "TRANSCRIPTION_FAILED"
+
+
+class PipelineError(Exception):
+    """A pipeline failure with one of the error codes above"""
+
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+
 
 class SwedishTranscriptionPipeline:
     def __init__(self, hf_token=None):
@@ -33,30 +51,68 @@ class SwedishTranscriptionPipeline:
 
     def load_models(self):
         """Load Whisper and diarization models"""
-        self.whisper_model = wt.load_model("large-v3", device=self.device)
+        # Check the token first so a missing one fails fast instead of after loading Whisper
+        if not self.hf_token:
+            raise PipelineError(
+                MISSING_HF_TOKEN,
+                "HuggingFace token required for diarization. Set HF_TOKEN environment variable."
+            )
 
-        if self.hf_token:
+        try:
+            self.whisper_model = wt.load_model("large-v3", device=self.device)
+        except Exception as e:
+            raise PipelineError(MODEL_LOAD_FAILED, f"Failed to load Whisper model: {e}") from e
+
+        try:
             self.diarization_pipeline = Pipeline.from_pretrained(
                 "pyannote/speaker-diarization-3.1",
                 use_auth_token=self.hf_token
             )
-            if self.device == "cuda":
-                self.diarization_pipeline = self.diarization_pipeline.to(torch.device("cuda"))
-        else:
-            raise ValueError("HuggingFace token required for diarization. Set HF_TOKEN environment variable.")
+        except Exception as e:
+            raise PipelineError(MODEL_LOAD_FAILED, f"Failed to load diarization model: {e}") from e
+
+        # from_pretrained returns None instead of raising when the token cannot access the model
+        if self.diarization_pipeline is None:
+            raise PipelineError(
+                MODEL_LOAD_FAILED,
+                "Failed to load diarization model: check that HF_TOKEN has accepted the pyannote model terms"
+            )
+
+        if self.device == "cuda":
+            self.diarization_pipeline = self.diarization_pipeline.to(torch.device("cuda"))
+
+    def load_audio(self, audio_path):
+        """Decode the file to 16 kHz mono samples"""
+        try:
+            return whisper.load_audio(audio_path)
+        except Exception as e:
+            raise PipelineError(UNSUPPORTED_FORMAT, f"Could not decode audio: {e}") from e
+
+    def detect_language(self, audio):
+        """Detect the spoken language from the first 30 seconds; returns (code, probability)"""
+        if not self.whisper_model:
+            self.load_models()
 
-    def transcribe_audio(self, audio_path, language="sv"):
-        """Step 1: Transcribe with word-level timestamps"""
+        audio = whisper.pad_or_trim(audio)
+        mel = whisper.log_mel_spectrogram(audio, n_mels=self.whisper_model.dims.n_mels).to(self.whisper_model.device)
+        _, probs = self.whisper_model.detect_language(mel)
+        language = max(probs, key=probs.get)
+        return language, float(probs[language])
+
+    def transcribe_audio(self, audio, language=DEFAULT_LANGUAGE, initial_prompt=None):
+        """Step 1: Transcribe with word-level timestamps (audio is a path or decoded samples).
+        initial_prompt (e.g. a custom vocabulary) biases Whisper towards its spellings."""
         if not self.whisper_model:
             self.load_models()
 
         result = wt.transcribe(
             self.whisper_model,
-            audio=audio_path,
+            audio=audio,
             language=language,
             vad="silero",
             compute_word_confidence=True,
-            detect_disfluencies=True
+            detect_disfluencies=True,
+            initial_prompt=initial_prompt
         )
 
         return result
@@ -70,17 +126,18 @@ class SwedishTranscriptionPipeline:
         return diarization
 
     def merge_transcription_and_diarization(self, transcription_result, diarization_result):
-        """Step 3: Merge words with speaker labels"""
+        """Step 3: Merge words with speaker labels (all "Unknown" without diarization)"""
 
         merged_segments = []
 
-        for segment in transcription_result["segments"]:
+        for segment_id, segment in enumerate(transcription_result["segments"]):
             for word in segment["words"]:
                 word_midpoint = (word["start"] + word["end"]) / 2
 
                 # Find the speaker active at this midpoint
                 speaker_label = "Unknown"
-                for turn, _, speaker in diarization_result.itertracks(yield_label=True):
+                tracks = diarization_result.itertracks(yield_label=True) if diarization_result else []
+                for turn, _, speaker in tracks:
                     if turn.start <= word_midpoint <= turn.end:
                         speaker_label = speaker
                         break
@@ -90,12 +147,23 @@ class SwedishTranscriptionPipeline:
                     "end": word["end"],
                     "word": word["text"],
                     "speaker": speaker_label,
-                    "confidence": word.get("confidence", 1.0)
+                    # None rather than a made-up 1.0 so missing scores don't inflate averages
+                    "confidence": word.get("confidence"),
+                    "segment_id": segment_id
                 }
                 merged_segments.append(merged_word)
 
         return merged_segments
 
+    def diarization_turns(self, diarization_result):
+        """Raw speaker turns; unlike the merged words these overlap where people talk at once"""
+        if not diarization_result:
+            return []
+        return [
+            {"start": turn.start, "end": turn.end, "speaker": speaker}
+            for turn, _, speaker in diarization_result.itertracks(yield_label=True)
+        ]
+
     def format_timestamp(self, seconds):
         """Format seconds as HH:MM:SS.mmm"""
         hours = int(seconds // 3600)
@@ -126,69 +194,170 @@ class SwedishTranscriptionPipeline:
 
         return "\n".join(markdown_lines)
 
-    def process_audio_file(self, audio_path, output_format="json"):
-        """Main processing function"""
+    def process_audio(self, audio_path, language=DEFAULT_LANGUAGE, initial_prompt=None, diarize=True):
+        """Run the full pipeline and return the output as a dict.
+        diarize=False skips step 2, e.g. for short live windows; every word is then "Unknown"."""
         try:
             # Validate input file
             if not os.path.exists(audio_path):
                 raise FileNotFoundError(f"Audio file not found: {audio_path}")
 
-            # Processing audio file
+            # Load models before decoding so configuration errors are reported first
+            if not self.whisper_model:
+                self.load_models()
+
+            audio = self.load_audio(audio_path)
+
+            # Step 0: Language detection (only in auto mode)
+            language_probability = None
+            if language == AUTO_LANGUAGE:
+                language, language_probability = self.detect_language(audio)
 
             # Step 1: Transcription
-            transcription_result = self.transcribe_audio(audio_path, language="sv")
+            transcription_result = self.transcribe_audio(audio, language=language, initial_prompt=initial_prompt)
 
             # Step 2: Diarization
-            diarization_result = self.diarize_audio(audio_path)
+            diarization_result = self.diarize_audio(audio_path) if diarize else None
 
             # Step 3: Merge
             merged_segments = self.merge_transcription_and_diarization(
                 transcription_result, diarization_result
             )
 
-            # Prepare output
-            output = {
+            return {
                 "success": True,
                 "audio_file": audio_path,
+                "language": language,
+                "language_probability": language_probability,
                 "total_words": len(merged_segments),
                 "segments": merged_segments,
+                "diarization": self.diarization_turns(diarization_result),
                 "speakers": list(set(word["speaker"] for word in merged_segments)),
                 "duration": merged_segments[-1]["end"] if merged_segments else 0,
                 "markdown": self.generate_markdown_output(merged_segments)
             }
 
-            if output_format.lower() == "markdown":
-                return output["markdown"]
-            else:
-                return json.dumps(output, indent=2, ensure_ascii=False)
-
         except Exception as e:
-            error_output = {
+            return {
                 "success": False,
+                "code": getattr(e, "code", TRANSCRIPTION_FAILED),
                 "error": str(e),
                 "audio_file": audio_path
             }
-            return json.dumps(error_output, indent=2, ensure_ascii=False)
+
+    def format_output(self, output, output_format="json"):
+        """Render process_audio() output; failures are always JSON"""
+        if output["success"] and output_format.lower() == "markdown":
+            return output["markdown"]
+        else:
+            return json.dumps(output, indent=2, ensure_ascii=False)
+
+    def process_audio_file(self, audio_path, output_format="json", language=DEFAULT_LANGUAGE, initial_prompt=None):
+        """Main processing function"""
+        return self.format_output(
+            self.process_audio(audio_path, language=language, initial_prompt=initial_prompt),
+            output_format
+        )
+
+
+def run_worker(pipeline):
+    """
+    Serve requests as a long-lived worker so models are loaded only once.
+    Protocol: one JSON object per line on stdin, one JSON reply per line on stdout.
+      {"id": "1", "type": "ping"}                              -> {"id": "1", "type": "pong"}
+      {"id": "2", "type": "transcribe", "audio_file": "a.wav", "language": "auto", "initial_prompt": null,
+       "output_format": "json", "diarize": true}               -> {"id": "2", "type": "result", "result": {...}}
+    With "output_format": "markdown" a successful result is the Markdown text, as with --output markdown;
+    "diarize": false skips diarization, as with --no-diarization.
+    """
+    protocol_out = sys.stdout
+    # Keep library prints (model download progress etc.) off the protocol stream
+    sys.stdout = sys.stderr
+
+    def send(message):
+        protocol_out.write(json.dumps(message, ensure_ascii=False) + "\n")
+        protocol_out.flush()
+
+    try:
+        pipeline.load_models()
+    except Exception as e:
+        send({"type": "fatal", "code": getattr(e, "code", MODEL_LOAD_FAILED), "error": str(e)})
+        sys.exit(1)
+
+    send({"type": "ready", "pid": os.getpid(), "device": pipeline.device})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        try:
+            request = json.loads(line)
+        except json.JSONDecodeError as e:
+            send({"type": "error", "id": None, "error": f"Invalid request: {e}"})
+            continue
+
+        request_id = request.get("id")
+        request_type = request.get("type")
+
+        if request_type == "ping":
+            send({"type": "pong", "id": request_id})
+        elif request_type == "transcribe":
+            result = pipeline.process_audio(
+                request.get("audio_file", ""),
+                language=request.get("language") or DEFAULT_LANGUAGE,
+                initial_prompt=request.get("initial_prompt") or None,
+                diarize=request.get("diarize") is not False
+            )
+            if result["success"] and request.get("output_format") == "markdown":
+                result = result["markdown"]
+            send({"type": "result", "id": request_id, "result": result})
+        else:
+            send({"type": "error", "id": request_id, "error": f"Unknown request type: {request_type}"})
 
 
 def main():
     parser = argparse.ArgumentParser(description="Swedish Audio Transcription Pipeline")
-    parser.add_argument("audio_file", help="Path to audio file to transcribe")
+    parser.add_argument("audio_file", nargs="?", help="Path to audio file to transcribe")
     parser.add_argument("--output", "-o", default="json",
                        choices=["json", "markdown"],
                        help="Output format (default: json)")
+    parser.add_argument("--language", "-l", default=DEFAULT_LANGUAGE,
+                       help=f"Language code, or '{AUTO_LANGUAGE}' to detect it (default: {DEFAULT_LANGUAGE})")
     parser.add_argument("--hf-token", help="HuggingFace token for diarization model")
+    parser.add_argument("--initial-prompt",
+                       help="Whisper initial prompt, e.g. a comma-separated custom vocabulary")
+    parser.add_argument("--no-diarization", action="store_true",
+                       help="Skip speaker diarization; every word is labeled Unknown")
+    parser.add_argument("--worker", action="store_true",
+                       help="Run as a persistent worker reading JSON requests from stdin")
 
     args = parser.parse_args()
 
     # Create pipeline instance
     pipeline = SwedishTranscriptionPipeline(hf_token=args.hf_token)
 
+    if args.worker:
+        run_worker(pipeline)
+        return
+
+    if not args.audio_file:
+        parser.error("audio_file is required unless --worker is given")
+
     # Process the audio file
-    result = pipeline.process_audio_file(args.audio_file, args.output)
+    output = pipeline.process_audio(
+        args.audio_file,
+        language=args.language,
+        initial_prompt=args.initial_prompt,
+        diarize=not args.no_diarization
+    )
 
     # Output result
-    print(result)
+    print(pipeline.format_output(output, args.output))
+
+    # The JSON on stdout has the details; the exit code lets callers detect failure without it
+    if not output["success"]:
+        sys.exit(1)
 
 
 if __name__ == "__main__":